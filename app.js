@@ -3,35 +3,74 @@
  *
  * Loads and displays bingo card data from JSON files.
  * Fetches live prices from Manifold API for real-time updates.
- * Works as a static site (no server required).
+ * Works as a static site (no server required, no build step).
+ *
+ * This is the browser rendering layer; the bingo math lives in
+ * bingo-core.js. Loaded as an ES module after manifold-client.js (network
+ * requests), market-cache.js (persistent cache) and live-feed.js
+ * (streaming updates).
  */
 
+import {
+    LINES,
+    FREE_SPACE_INDEX,
+    CARD_STATUS_LABELS,
+    isFeaturedCard,
+    VOID_POLICIES,
+    VOID_RESOLUTION_LABELS,
+    VOID_ACTION_LABELS,
+    getVoidPolicy,
+    getVoidAction,
+    getCellResolved,
+    getGridProbs,
+    calculateLineProb,
+    getLineStats,
+    resolutionFields,
+    describeCellResolution,
+    getCellResolution,
+    deriveCardStatus,
+    isStatusMismatch,
+    approximateWinProb,
+    exactWinProb,
+    computeCellLeverage,
+    computeCardStats,
+    getAnswerPrices,
+    getCellMarketProb,
+    getCellMarketState,
+    attachCardMarketPrices,
+    attachCardReturns,
+    formatMana,
+    ANY_WIN_SAMPLES,
+    groupCardsByPlayer,
+    jointCardWinProbs,
+    sortCards,
+    SEASON_RUNS,
+    betsToTimeline,
+    timelineForAnswer,
+    buildWinProbHistory,
+    attachWinProbHistories,
+    computeMarket24hStats,
+    getMarketKey,
+    collectUniqueMarkets,
+    computeCardOverlap,
+    sortMarkets,
+    encodeScenario,
+    decodeScenario
+} from './bingo-core.js';
+import { isSlimIndex } from './card-index.js';
+
 // Configuration
 const DATA_PATH = 'cards/';
 const INDEX_FILE = 'index.json';
-const MANIFOLD_API = 'https://api.manifold.markets/v0';
-
-// Line indices for display
-const LINES = [
-    { name: 'Row 1', indices: [0, 1, 2, 3, 4] },
-    { name: 'Row 2', indices: [5, 6, 7, 8, 9] },
-    { name: 'Row 3', indices: [10, 11, 12, 13, 14] },
-    { name: 'Row 4', indices: [15, 16, 17, 18, 19] },
-    { name: 'Row 5', indices: [20, 21, 22, 23, 24] },
-    { name: 'Col 1', indices: [0, 5, 10, 15, 20] },
-    { name: 'Col 2', indices: [1, 6, 11, 16, 21] },
-    { name: 'Col 3', indices: [2, 7, 12, 17, 22] },
-    { name: 'Col 4', indices: [3, 8, 13, 18, 23] },
-    { name: 'Col 5', indices: [4, 9, 14, 19, 24] },
-    { name: 'Diag \\', indices: [0, 6, 12, 18, 24] },
-    { name: 'Diag /', indices: [4, 8, 12, 16, 20] },
-];
-
-const FREE_SPACE_INDEX = 12;
+// Multi-choice market where each card is traded as an answer
+const PARENT_MARKET_SLUG = 'manifold-bingo-2026-alpha';
 
 // Global state for current card (used by live price updates)
 let currentCard = null;
 
+// Cell probabilities behind the card page's win probability (stored, then live)
+let currentProbs = null;
+
 // Global state for index page (used by leaderboard)
 let allCardsData = null;
 
@@ -50,26 +89,35 @@ const PREFS_KEY = 'manifold_bingo_prefs';
  */
 async function loadCardsIndex() {
     try {
-        const response = await fetch(DATA_PATH + INDEX_FILE);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+        const data = await fetchJson(DATA_PATH + INDEX_FILE);
+
+        // Featured cards have their own tab
+        const playerCards = data.cards.filter(card => !isFeaturedCard(card));
+        displayStats({ cards: playerCards });
+
+        // A slim index has summaries only; grids come from the card files
+        if (isSlimIndex(data)) {
+            data.cards = await loadCardGrids(data.cards);
         }
-        const data = await response.json();
         allCardsData = data;
 
-        displayStats(data);
-        displayCardsList(data.cards);
-        displayLeaderboard(data.cards);
+        const cards = data.cards.filter(card => !isFeaturedCard(card));
+        displayCardsList(cards);
+        displayLeaderboard(cards);
         setupTabs();
 
+        const feedLiveBtn = document.getElementById('feed-live-toggle');
+        if (feedLiveBtn) feedLiveBtn.addEventListener('click', toggleFeedLiveMode);
+        setupLeaderboardControls();
+
         // Auto-save baseline on first visit
         const lastSeen = getLastSeenProbs();
         if (Object.keys(lastSeen).length === 0) {
-            saveLastSeenProbs(data.cards);
+            saveLastSeenProbs(cards);
         }
 
         // Load market activity feed (async, after initial render)
-        displayMarketActivity(data.cards);
+        displayMarketActivity(cards);
     } catch (error) {
         console.error('Failed to load cards index:', error);
         const grid = document.getElementById('card-grid');
@@ -79,12 +127,28 @@ async function loadCardsIndex() {
     }
 }
 
+/**
+ * Fill in grids for index entries that only have summary fields
+ * Cards whose file fails to load keep their summary.
+ */
+async function loadCardGrids(cards) {
+    return Promise.all(cards.map(async card => {
+        if (card.grid) return card;
+        try {
+            return await fetchJson(`${DATA_PATH}${card.card_id}.json`);
+        } catch (e) {
+            console.error(`Failed to load card ${card.card_id}:`, e);
+            return card;
+        }
+    }));
+}
+
 /**
  * Set up tab switching for index page
  */
 function setupTabs() {
     const tabs = document.querySelectorAll('.view-tabs .tab');
-    const views = ['activity', 'grid', 'featured', 'leaderboard'];
+    const views = ['activity', 'kingmakers', 'outlook', 'grid', 'featured', 'leaderboard'];
 
     tabs.forEach(tab => {
         tab.addEventListener('click', () => {
@@ -102,6 +166,10 @@ function setupTabs() {
             // Load featured cards if switching to featured view
             if (view === 'featured') {
                 loadFeaturedCards();
+            } else if (view === 'kingmakers') {
+                displayKingmakers();
+            } else if (view === 'outlook') {
+                displaySeasonOutlook();
             }
         });
     });
@@ -109,16 +177,29 @@ function setupTabs() {
 
 /**
  * Display stats summary
+ * Counts use the status derived from market resolutions once live data is in
+ * (liveStatus), flagging cards whose stored status disagrees.
  */
 function displayStats(data) {
     const cards = data.cards || [];
+    const statusOf = (card) => card.liveStatus ?? card.status;
     const total = cards.length;
-    const active = cards.filter(c => c.status === 'active').length;
-    const winners = cards.filter(c => c.status === 'resolved_yes').length;
+    const active = cards.filter(c => statusOf(c) === 'active').length;
+    const winners = cards.filter(c => statusOf(c) === 'resolved_yes').length;
 
     document.getElementById('total-cards').textContent = total;
     document.getElementById('active-cards').textContent = active;
     document.getElementById('winners').textContent = winners;
+
+    const noteEl = document.getElementById('status-mismatch');
+    if (!noteEl) return;
+
+    const mismatched = cards.filter(c => c.statusMismatch);
+    noteEl.style.display = mismatched.length > 0 ? '' : 'none';
+    noteEl.innerHTML = mismatched.length === 0 ? '' :
+        `&#x26A0; Stored status disagrees with market resolutions for ` +
+        mismatched.map(c => `<a href="card.html?id=${c.card_id}">${c.card_id}</a> ` +
+            `(${getStatusText(c.status)}, markets say ${getStatusText(c.liveStatus)})`).join(', ');
 }
 
 /**
@@ -136,33 +217,13 @@ function displayCardsList(cards) {
 }
 
 /**
- * Load and display featured (YouTuber) cards
+ * Display featured (YouTuber) cards from the index
  */
-async function loadFeaturedCards() {
+function loadFeaturedCards() {
     const grid = document.getElementById('featured-grid');
     if (!grid) return;
 
-    // Featured card IDs (manually curated)
-    const featuredCardIds = [
-        'hank-green-2026',
-        'mr-beat-2026',
-        'jj-mccullough-2026'
-    ];
-
-    grid.innerHTML = '<p class="loading">Loading featured cards...</p>';
-
-    const cards = [];
-    for (const cardId of featuredCardIds) {
-        try {
-            const response = await fetch(`${DATA_PATH}${cardId}.json`);
-            if (response.ok) {
-                const card = await response.json();
-                cards.push(card);
-            }
-        } catch (e) {
-            console.error(`Failed to load featured card ${cardId}:`, e);
-        }
-    }
+    const cards = (allCardsData?.cards || []).filter(card => isFeaturedCard(card) && card.grid);
 
     if (cards.length === 0) {
         grid.innerHTML = '<p class="loading">No featured cards available.</p>';
@@ -182,11 +243,9 @@ function createFeaturedCardPreview(card) {
         : '';
 
     // Create mini grid (same as regular cards)
+    const policy = getVoidPolicy(card.season);
     const miniCells = card.grid.map((cell, i) => {
-        let cellClass = 'mini-cell';
-        if (i === FREE_SPACE_INDEX) cellClass += ' free';
-        else if (cell.resolved === true) cellClass += ' yes';
-        else if (cell.resolved === false) cellClass += ' no';
+        const cellClass = i === FREE_SPACE_INDEX ? 'mini-cell free' : `mini-cell${getCellStateClass(cell, policy)}`;
         return `<div class="${cellClass}"></div>`;
     }).join('');
 
@@ -360,102 +419,50 @@ function displayLeaderboard(cards) {
 let leaderboardSortState = { column: 'prob', direction: 'desc' };
 
 /**
- * Compute live card stats from market data
- * @param {Array} cards - Card objects
- * @param {Map} marketDataMap - Map of slug -> {currentProb, stats}
- * @returns {Array} Cards with liveWinProb, change24h, high24h, low24h
+ * Fetch a market from the API and save it to the persistent cache
+ * @param {string} path - API path, e.g. "/slug/abc?lite=true" (also the cache key)
  */
-function computeCardStats(cards, marketDataMap) {
-    return cards.map(card => {
-        if (!card.grid || card.status !== 'active') {
-            return { ...card, liveWinProb: card.win_probability, change24h: null, high24h: null, low24h: null };
-        }
-
-        // Get live probs for all 25 cells
-        const liveProbs = card.grid.map((cell, i) => {
-            if (i === FREE_SPACE_INDEX) return 1.0; // Free space
-            const marketData = marketDataMap.get(cell.slug);
-            return marketData?.currentProb ?? cell.prob;
-        });
-
-        // Get 24h-ago probs for all 25 cells
-        const probs24hAgo = card.grid.map((cell, i) => {
-            if (i === FREE_SPACE_INDEX) return 1.0;
-            const marketData = marketDataMap.get(cell.slug);
-            return marketData?.stats?.prob24hAgo ?? cell.prob;
-        });
-
-        // Get 24h high probs (best case scenario in last 24h)
-        const highProbs = card.grid.map((cell, i) => {
-            if (i === FREE_SPACE_INDEX) return 1.0;
-            const marketData = marketDataMap.get(cell.slug);
-            return marketData?.stats?.high24h ?? cell.prob;
-        });
-
-        // Get 24h low probs (worst case scenario in last 24h)
-        const lowProbs = card.grid.map((cell, i) => {
-            if (i === FREE_SPACE_INDEX) return 1.0;
-            const marketData = marketDataMap.get(cell.slug);
-            return marketData?.stats?.low24h ?? cell.prob;
-        });
-
-        const liveWinProb = approximateWinProb(liveProbs);
-        const winProb24hAgo = approximateWinProb(probs24hAgo);
-        const high24h = approximateWinProb(highProbs);
-        const low24h = approximateWinProb(lowProbs);
-        const change24h = liveWinProb - winProb24hAgo;
-
-        return { ...card, liveWinProb, change24h, high24h, low24h };
-    });
+async function fetchMarketSnapshot(path) {
+    const market = await manifoldGet(path);
+    cachePut(SNAPSHOT_STORE, path, market);
+    return market;
 }
 
 /**
- * Sort cards by column (stable sort)
- */
-function sortCards(cards, column, direction) {
-    const multiplier = direction === 'desc' ? -1 : 1;
-
-    return [...cards].sort((a, b) => {
-        let valA, valB;
-
-        switch (column) {
-            case 'handle':
-                valA = (a.user_handle || '').toLowerCase();
-                valB = (b.user_handle || '').toLowerCase();
-                return multiplier * valA.localeCompare(valB);
-            case 'prob':
-                valA = a.liveWinProb ?? a.win_probability ?? 0;
-                valB = b.liveWinProb ?? b.win_probability ?? 0;
-                break;
-            case 'change':
-                // Sort by actual value (winners first when desc)
-                valA = a.change24h ?? 0;
-                valB = b.change24h ?? 0;
-                break;
-            case 'upside':
-                // How far below 24h high (room to grow)
-                valA = (a.high24h ?? a.liveWinProb ?? 0) - (a.liveWinProb ?? 0);
-                valB = (b.high24h ?? b.liveWinProb ?? 0) - (b.liveWinProb ?? 0);
-                break;
-            case 'downside':
-                // How far above 24h low (room to fall)
-                valA = (a.liveWinProb ?? 0) - (a.low24h ?? a.liveWinProb ?? 0);
-                valB = (b.liveWinProb ?? 0) - (b.low24h ?? b.liveWinProb ?? 0);
-                break;
-            default:
-                return 0;
-        }
+ * Fetch traded card prices from the parent multi-choice market
+ * @returns {Map} Map of answer_id -> traded probability (empty on failure)
+ */
+async function fetchCardMarketPrices() {
+    try {
+        const market = await fetchMarketSnapshot(`/slug/${PARENT_MARKET_SLUG}`);
+        return getAnswerPrices(market);
+    } catch (error) {
+        console.error('Failed to fetch parent market:', error);
+        return new Map();
+    }
+}
 
-        if (valA === valB) return 0;
-        return multiplier * (valA > valB ? 1 : -1);
-    });
+/**
+ * Get traded card prices from the cached parent market (empty if not cached)
+ */
+async function getCachedCardMarketPrices() {
+    const record = await cacheGet(SNAPSHOT_STORE, `/slug/${PARENT_MARKET_SLUG}`);
+    return record ? getAnswerPrices(record.value) : new Map();
 }
 
+// Card stats behind the live leaderboard (for re-rendering on toggle)
+let leaderboardStats = null;
+
+// Player groups for leaderboardStats (the any-win estimate is slow, so re-sorts reuse them)
+let leaderboardPlayers = null;
+let leaderboardPlayersFor = null;
+
 /**
- * Display live leaderboard with sortable columns
+ * Display live leaderboard with sortable columns (one row per card, or per player)
  */
 function displayLiveLeaderboard(cardsWithStats, container) {
     if (!container) return;
+    leaderboardStats = cardsWithStats;
 
     const activeCards = cardsWithStats.filter(c => c.status === 'active');
 
@@ -464,6 +471,11 @@ function displayLiveLeaderboard(cardsWithStats, container) {
         return;
     }
 
+    if (getPrefs().groupByPlayer) {
+        displayPlayerLeaderboard(activeCards, container);
+        return;
+    }
+
     // Sort indicator helper
     const sortIndicator = (col) => {
         if (leaderboardSortState.column !== col) return '';
@@ -494,11 +506,44 @@ function displayLiveLeaderboard(cardsWithStats, container) {
             rangeHtml = `<span class="lb-range" title="High: ${(card.high24h * 100).toFixed(1)}%, Low: ${(card.low24h * 100).toFixed(1)}%">+${upside} / -${downside}</span>`;
         }
 
+        // Traded price on the parent market and edge vs our model
+        let marketHtml = '<span class="lb-market">-</span>';
+        let edgeHtml = '<span class="edge">-</span>';
+        if (card.marketPrice != null) {
+            marketHtml = `<span class="lb-market">${(card.marketPrice * 100).toFixed(1)}%</span>`;
+            const edgePct = (card.edge * 100).toFixed(1);
+            const sign = card.edge >= 0 ? '+' : '';
+            const edgeClass = card.edge > 0.005 ? 'positive' : card.edge < -0.005 ? 'negative' : '';
+            edgeHtml = `<span class="edge ${edgeClass}" title="Model ${winProb}% vs traded ${(card.marketPrice * 100).toFixed(1)}%">${sign}${edgePct}%</span>`;
+        }
+
+        const sparkHtml = `<span class="lb-spark">${card.history ? renderSparkline(card.history.series) : ''}</span>`;
+
+        // Returns on the purchase
+        const evHtml = `<span class="lb-ev" title="Pays ${formatMana(card.payout)} on a win">${formatMana(card.expectedValue)}</span>`;
+        const pnlHtml = `<span class="lb-pnl ${signClass(card.pnl, 0.5)}" title="Stake ${formatMana(card.purchase_price)}, marked at the ${card.marketPrice != null ? 'traded price' : 'model'}">${formatMana(card.pnl, true)}</span>`;
+        let sinceHtml = '<span class="lb-change">-</span>';
+        if (card.changeSincePurchase != null) {
+            const since = card.changeSincePurchase;
+            sinceHtml = `<span class="lb-change ${signClass(since, 0.005)}" title="Bought at ${(card.purchase_prob * 100).toFixed(1)}%">${since >= 0 ? '+' : ''}${(since * 100).toFixed(1)}%</span>`;
+        }
+
+        // Cards the market resolutions have already decided
+        const flagHtml = card.statusMismatch
+            ? ` <span class="status-flag" title="Stored as ${getStatusText(card.status)}">${getStatusText(card.liveStatus)}</span>`
+            : '';
+
         return `
             <a href="card.html?id=${card.card_id}" class="leaderboard-row">
                 <span class="rank">#${i + 1}</span>
-                <span class="handle">@${card.user_handle}</span>
+                <span class="handle"><span class="handle-link" data-href="${playerUrl(card.user_handle)}">@${card.user_handle}</span>${flagHtml}</span>
+                ${sparkHtml}
                 <span class="win-prob">${winProb}%</span>
+                ${marketHtml}
+                ${edgeHtml}
+                ${evHtml}
+                ${pnlHtml}
+                ${sinceHtml}
                 ${changeHtml}
                 ${rangeHtml}
             </a>
@@ -509,14 +554,80 @@ function displayLiveLeaderboard(cardsWithStats, container) {
         <div class="leaderboard-header">
             <span class="rank"></span>
             <span class="handle sortable" data-sort="handle">Player${sortIndicator('handle')}</span>
+            <span class="lb-spark">Trend</span>
             <span class="win-prob sortable" data-sort="prob">Win %${sortIndicator('prob')}</span>
+            <span class="lb-market sortable" data-sort="market">Traded${sortIndicator('market')}</span>
+            <span class="edge sortable" data-sort="edge">Edge${sortIndicator('edge')}</span>
+            <span class="lb-ev sortable" data-sort="ev">EV${sortIndicator('ev')}</span>
+            <span class="lb-pnl sortable" data-sort="pnl">P&amp;L${sortIndicator('pnl')}</span>
+            <span class="lb-change sortable" data-sort="purchase">Since buy${sortIndicator('purchase')}</span>
             <span class="lb-change sortable" data-sort="change">24h${sortIndicator('change')}</span>
             <span class="lb-range sortable" data-sort="upside">Range${sortIndicator('upside')}${sortIndicator('downside')}</span>
         </div>
         ${rows}
     `;
 
-    // Set up sort handlers
+    setupLeaderboardSort(cardsWithStats, container);
+    setupHandleLinks(container);
+}
+
+/**
+ * Leaderboard grouped by player: total stake, EV and P&L, and the chance
+ * that at least one of the player's cards wins
+ */
+function displayPlayerLeaderboard(activeCards, container) {
+    const sortIndicator = (col) => {
+        if (leaderboardSortState.column !== col) return '';
+        return leaderboardSortState.direction === 'desc' ? ' &#x25BC;' : ' &#x25B2;';
+    };
+
+    if (leaderboardPlayersFor !== leaderboardStats) {
+        leaderboardPlayers = groupCardsByPlayer(activeCards);
+        leaderboardPlayersFor = leaderboardStats;
+    }
+    const players = sortCards(leaderboardPlayers, leaderboardSortState.column, leaderboardSortState.direction);
+
+    const rows = players.map((player, i) => {
+        const cardLinks = player.cards
+            .map(card => `<a href="card.html?id=${card.card_id}">${card.card_id}</a>`)
+            .join(', ');
+        const anyWinTitle = player.cardCount > 1
+            ? 'Chance at least one card wins (shared markets drawn together)'
+            : 'Win probability';
+
+        return `
+            <div class="leaderboard-row player-row">
+                <span class="rank">#${i + 1}</span>
+                <span class="handle"><a href="${playerUrl(player.user_handle)}">@${player.user_handle}</a><span class="player-cards">${cardLinks}</span></span>
+                <span class="lb-count">${player.cardCount}</span>
+                <span class="win-prob" title="${anyWinTitle}">${(player.liveWinProb * 100).toFixed(1)}%</span>
+                <span class="lb-ev">${formatMana(player.purchase_price)}</span>
+                <span class="lb-ev">${formatMana(player.expectedValue)}</span>
+                <span class="lb-pnl ${signClass(player.pnl, 0.5)}">${formatMana(player.pnl, true)}</span>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="leaderboard-header player-row">
+            <span class="rank"></span>
+            <span class="handle sortable" data-sort="handle">Player${sortIndicator('handle')}</span>
+            <span class="lb-count">Cards</span>
+            <span class="win-prob sortable" data-sort="prob" title="Chance at least one card wins">Any win${sortIndicator('prob')}</span>
+            <span class="lb-ev sortable" data-sort="stake">Stake${sortIndicator('stake')}</span>
+            <span class="lb-ev sortable" data-sort="ev">EV${sortIndicator('ev')}</span>
+            <span class="lb-pnl sortable" data-sort="pnl">P&amp;L${sortIndicator('pnl')}</span>
+        </div>
+        ${rows}
+    `;
+
+    setupLeaderboardSort(leaderboardStats, container);
+}
+
+/**
+ * Sort header click handlers for either leaderboard layout
+ */
+function setupLeaderboardSort(cardsWithStats, container) {
     container.querySelectorAll('.sortable').forEach(header => {
         header.addEventListener('click', () => {
             const column = header.dataset.sort;
@@ -531,25 +642,57 @@ function displayLiveLeaderboard(cardsWithStats, container) {
     });
 }
 
+/**
+ * Handles inside card rows link to the player page
+ * (rows are links themselves, so the handle can't be a nested <a>)
+ */
+function setupHandleLinks(container) {
+    container.querySelectorAll('.handle-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            window.location.href = link.dataset.href;
+        });
+    });
+}
+
+/**
+ * Set up the group-by-player toggle above the leaderboard
+ */
+function setupLeaderboardControls() {
+    const btn = document.getElementById('group-toggle');
+    if (!btn) return;
+
+    const label = (grouped) => (grouped ? 'Show Cards' : 'Group by Player');
+    btn.textContent = label(!!getPrefs().groupByPlayer);
+    btn.addEventListener('click', () => {
+        const grouped = !getPrefs().groupByPlayer;
+        setPref('groupByPlayer', grouped);
+        btn.textContent = label(grouped);
+        if (leaderboardStats) {
+            displayLiveLeaderboard(leaderboardStats, document.getElementById('leaderboard'));
+        }
+    });
+}
+
 /**
  * Create HTML for card preview
+ * @param {Object} card - Card with grid
+ * @param {string} title - Heading (the player's handle by default)
  */
-function createCardPreview(card) {
+function createCardPreview(card, title = `@${card.user_handle}`) {
     const statusClass = getStatusClass(card.status);
     const statusText = getStatusText(card.status);
 
-    // Create mini grid
-    const miniCells = card.grid.map((cell, i) => {
-        let cellClass = 'mini-cell';
-        if (i === FREE_SPACE_INDEX) cellClass += ' free';
-        else if (cell.resolved === true) cellClass += ' yes';
-        else if (cell.resolved === false) cellClass += ' no';
+    // Create mini grid (empty if the grid failed to load)
+    const policy = getVoidPolicy(card.season);
+    const miniCells = (card.grid || []).map((cell, i) => {
+        const cellClass = i === FREE_SPACE_INDEX ? 'mini-cell free' : `mini-cell${getCellStateClass(cell, policy)}`;
         return `<div class="${cellClass}"></div>`;
     }).join('');
 
     return `
         <a href="card.html?id=${card.card_id}" class="card-preview">
-            <h3>@${card.user_handle}</h3>
+            <h3>${title}</h3>
             <div class="mini-grid">${miniCells}</div>
             <div class="status-line">
                 <span class="status-badge ${statusClass}">${statusText}</span>
@@ -568,12 +711,9 @@ function createCardPreview(card) {
  */
 async function loadCard(cardId) {
     try {
-        const response = await fetch(`${DATA_PATH}${cardId}.json`);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        const card = await response.json();
+        const card = await fetchJson(`${DATA_PATH}${cardId}.json`);
         currentCard = card;
+        currentProbs = getGridProbs(card.grid, getVoidPolicy(card.season));
 
         displayCard(card);
 
@@ -593,10 +733,7 @@ function displayCard(card) {
     // Header
     document.getElementById('card-title').textContent =
         `@${card.user_handle}'s Card`;
-    document.getElementById('card-status').textContent =
-        getStatusText(card.status);
-    document.getElementById('card-status').className =
-        `status-badge ${getStatusClass(card.status)}`;
+    updateCardStatus(card);
 
     // Win probability with "at creation" label
     const probEl = document.getElementById('card-prob');
@@ -604,7 +741,9 @@ function displayCard(card) {
         <span class="prob-label">Win Prob:</span>
         <span class="prob-value" id="win-prob-value">${(card.win_probability * 100).toFixed(1)}%</span>
         <span class="prob-note" id="win-prob-note">(at creation)</span>
+        <span class="prob-compare" id="win-prob-compare"></span>
     `;
+    updateWinProbComparison();
 
     // Bingo grid
     const gridEl = document.getElementById('bingo-grid');
@@ -614,7 +753,7 @@ function displayCard(card) {
     renderInlineLineProbs(card.grid);
 
     // Details
-    document.getElementById('card-owner').textContent = `@${card.user_handle}`;
+    document.getElementById('card-owner').innerHTML = `<a href="${playerUrl(card.user_handle)}">@${card.user_handle}</a>`;
     document.getElementById('card-created').textContent =
         formatDate(card.created_time);
     document.getElementById('card-price').textContent =
@@ -635,16 +774,23 @@ function displayCard(card) {
 
     // Set up display controls
     setupDisplayControls();
+    setupSandboxControls();
+    renderLeverageOverlay();
 }
 
 /**
  * Create HTML for a bingo cell
+ * @param {Object} cell - Grid cell
+ * @param {number} index - Cell index (0-24)
+ * @param {Object} policy - Void policy (the current card's season by default)
+ * @param {string} extraClass - Additional class names for the cell
  */
-function createBingoCell(cell, index) {
+function createBingoCell(cell, index, policy = getVoidPolicy(currentCard?.season), extraClass = '') {
+    const voidAction = index === FREE_SPACE_INDEX ? null : getVoidAction(cell, policy);
     let cellClass = 'bingo-cell';
+    if (extraClass) cellClass += ` ${extraClass}`;
     if (index === FREE_SPACE_INDEX) cellClass += ' free';
-    else if (cell.resolved === true) cellClass += ' yes';
-    else if (cell.resolved === false) cellClass += ' no';
+    else cellClass += getCellStateClass(cell, policy);
 
     // Check display preference
     const prefs = getPrefs();
@@ -656,14 +802,16 @@ function createBingoCell(cell, index) {
         cellClass += ' full-title';
     }
 
-    // Show 100%/0% for resolved markets, original prob otherwise
+    // Show 100%/0% for resolved markets, N/A or MKT for voided ones, original prob otherwise
     let prob;
-    if (cell.resolved === true) {
-        prob = 100;
+    if (voidAction) {
+        prob = VOID_RESOLUTION_LABELS[cell.resolution];
+    } else if (cell.resolved === true) {
+        prob = '100%';
     } else if (cell.resolved === false) {
-        prob = 0;
+        prob = '0%';
     } else {
-        prob = ((cell.prob || 0.5) * 100).toFixed(0);
+        prob = `${((cell.prob || 0.5) * 100).toFixed(0)}%`;
     }
 
     const marketUrl = cell.url
@@ -671,58 +819,29 @@ function createBingoCell(cell, index) {
 
     return `
         <a href="${marketUrl}" target="_blank"
-           class="${cellClass}" title="${fullText}"
+           class="${cellClass}" title="${getCellTitle(cell, policy)}"
            data-index="${index}" data-stored-prob="${cell.prob || 0.5}">
             <div class="question">${question}</div>
             <div class="prob-container">
-                <span class="prob">${prob}%</span>
-                <span class="delta"></span>
+                <span class="prob">${prob}</span>
+                <span class="delta">${voidAction ? VOID_ACTION_LABELS[voidAction].short : ''}</span>
             </div>
         </a>
     `;
 }
 
-/**
- * Calculate line probability (product of cell probs)
- */
-function calculateLineProb(probs) {
-    return probs.reduce((acc, p) => acc * p, 1);
-}
-
-/**
- * Get line status and probability
- */
-function getLineStats(line, grid) {
-    const cells = line.indices.map(i => grid[i]);
-    const yesCount = cells.filter(c => c.resolved === true).length;
-    const noCount = cells.filter(c => c.resolved === false).length;
-
-    const probs = line.indices.map(i => {
-        if (i === FREE_SPACE_INDEX) return 1.0;
-        if (grid[i].resolved === true) return 1.0;
-        if (grid[i].resolved === false) return 0.0;
-        return grid[i].prob || 0.5;
-    });
-    const prob = calculateLineProb(probs);
-
-    let status = 'active';
-    if (yesCount === 5) status = 'complete';
-    else if (noCount > 0) status = 'blocked';
-
-    return { prob, status, yesCount };
-}
-
 /**
  * Create inline line probability cell HTML
  */
 function createLineProbCell(lineIndex, stats, label = null) {
-    const { prob, status } = stats;
+    const { prob, status, voidCount } = stats;
     let probDisplay = status === 'complete' ? '100%' :
                       status === 'blocked' ? '0%' :
                       `${(prob * 100).toFixed(1)}%`;
+    const title = voidCount > 0 ? ` title="${voidCount} N/A or MKT cell${voidCount !== 1 ? 's' : ''} on this line"` : '';
 
     return `
-        <div class="line-prob-cell ${status}" data-line="${lineIndex}">
+        <div class="line-prob-cell ${status}${voidCount > 0 ? ' has-void' : ''}" data-line="${lineIndex}"${title}>
             ${label ? `<div class="line-prob-label">${label}</div>` : ''}
             <div class="line-prob-value">${probDisplay}</div>
         </div>
@@ -733,11 +852,13 @@ function createLineProbCell(lineIndex, stats, label = null) {
  * Render inline line probabilities (rows right, cols bottom, diags corners)
  */
 function renderInlineLineProbs(grid) {
+    const policy = getVoidPolicy(currentCard?.season);
+
     // Rows 0-4 on the right
     const rowProbs = document.getElementById('row-probs');
     if (rowProbs) {
         rowProbs.innerHTML = LINES.slice(0, 5).map((line, i) => {
-            const stats = getLineStats(line, grid);
+            const stats = getLineStats(line, grid, policy);
             return createLineProbCell(i, stats);
         }).join('');
     }
@@ -746,7 +867,7 @@ function renderInlineLineProbs(grid) {
     const colProbs = document.getElementById('col-probs');
     if (colProbs) {
         colProbs.innerHTML = LINES.slice(5, 10).map((line, i) => {
-            const stats = getLineStats(line, grid);
+            const stats = getLineStats(line, grid, policy);
             return createLineProbCell(5 + i, stats);
         }).join('');
     }
@@ -754,8 +875,8 @@ function renderInlineLineProbs(grid) {
     // Diagonals 10-11 in corners (\ left, / right)
     const diagProbs = document.getElementById('diag-probs');
     if (diagProbs) {
-        const diagBackslash = getLineStats(LINES[10], grid); // \
-        const diagSlash = getLineStats(LINES[11], grid);     // /
+        const diagBackslash = getLineStats(LINES[10], grid, policy); // \
+        const diagSlash = getLineStats(LINES[11], grid, policy);     // /
         diagProbs.innerHTML = `
             ${createLineProbCell(10, diagBackslash, '\\')}
             ${createLineProbCell(11, diagSlash, '/')}
@@ -781,327 +902,1078 @@ function updateLineProbs(liveProbs) {
 }
 
 // ============================================================================
-// SPARKLINE FUNCTIONS
+// PLAYER PAGE FUNCTIONS
 // ============================================================================
 
-// Cache for sparkline data (sessionStorage)
-const SPARKLINE_CACHE_KEY = 'manifold_bingo_sparklines';
+// Markets listed in the player's exposure table
+const EXPOSURE_LIMIT = 15;
 
 /**
- * Get cached sparkline data
+ * Link to a player's profile page
  */
-function getSparklineCache() {
-    try {
-        const stored = sessionStorage.getItem(SPARKLINE_CACHE_KEY);
-        return stored ? JSON.parse(stored) : {};
-    } catch (e) {
-        return {};
-    }
+function playerUrl(handle) {
+    return `user.html?handle=${encodeURIComponent(handle)}`;
 }
 
 /**
- * Save sparkline data to cache
+ * Load and display every card held by one player
  */
-function saveSparklineCache(contractId, data) {
+async function loadPlayer(handle) {
+    document.getElementById('player-title').textContent = `@${handle}`;
+    document.title = `@${handle} - Manifold Bingo 2026`;
+
     try {
-        const cache = getSparklineCache();
-        cache[contractId] = {
-            data,
-            timestamp: Date.now()
-        };
-        sessionStorage.setItem(SPARKLINE_CACHE_KEY, JSON.stringify(cache));
-    } catch (e) {
-        console.warn('Failed to cache sparkline:', e);
-    }
-}
+        const data = await fetchJson(DATA_PATH + INDEX_FILE);
+        const handleCards = data.cards.filter(card => card.user_handle === handle);
+        const cards = isSlimIndex(data) ? await loadCardGrids(handleCards) : handleCards;
+
+        if (cards.length === 0) {
+            // The handle comes from the URL, so it goes in as text
+            const playerCards = document.getElementById('player-cards');
+            playerCards.innerHTML = '<p class="loading"></p>';
+            playerCards.firstChild.textContent = `No cards for @${handle}.`;
+            document.getElementById('player-exposure').innerHTML = '';
+            return;
+        }
 
-/**
- * Fetch bet history for a market
- */
-async function fetchBetHistory(contractId) {
-    // Check cache first (valid for 5 minutes)
-    const cache = getSparklineCache();
-    const cached = cache[contractId];
-    if (cached && (Date.now() - cached.timestamp) < 5 * 60 * 1000) {
-        return cached.data;
-    }
+        document.getElementById('player-cards').innerHTML = cards.map(card => createCardPreview(card, card.card_id)).join('');
 
-    try {
-        // Use order=desc to get the MOST RECENT 200 bets (not oldest)
-        // This is critical for markets with >200 total bets
-        const response = await fetch(
-            `${MANIFOLD_API}/bets?contractId=${contractId}&limit=200&order=desc`
-        );
-        if (!response.ok) return null;
-
-        const bets = await response.json();
-
-        // Extract probability timeline from bets, then reverse to chronological order
-        // (API returns newest first with order=desc, but we need oldest first for sparklines)
-        const timeline = bets
-            .filter(bet => bet.probAfter != null)
-            .map(bet => ({
-                time: bet.createdTime,
-                prob: bet.probAfter
-            }))
-            .reverse();
-
-        saveSparklineCache(contractId, timeline);
-        return timeline;
+        // Stored probabilities first, then live prices
+        displayPlayerSummary(cards, attachCardReturns(attachCardMarketPrices(computeCardStats(cards, new Map()), new Map())), 'stored');
+
+        const { marketDataMap, markets } = await fetchLiveMarkets(cards);
+        const cardsWithStats = attachCardReturns(attachCardMarketPrices(computeCardStats(cards, marketDataMap), await fetchCardMarketPrices()));
+        displayPlayerSummary(cards, cardsWithStats, 'live', markets);
     } catch (error) {
-        console.error('Failed to fetch bet history:', error);
-        return null;
+        console.error('Failed to load player:', error);
+        document.getElementById('player-cards').innerHTML = '<p class="loading">Failed to load cards. Check console for details.</p>';
     }
 }
 
 /**
- * Render sparkline SVG from probability timeline
+ * Fetch live snapshots for every market on a set of cards
+ * @returns {Object} {marketDataMap (for computeCardStats), markets (collected, with live prices)}
  */
-function renderSparkline(timeline, width = 60, height = 20) {
-    if (!timeline || timeline.length < 2) return '';
+async function fetchLiveMarkets(cards) {
+    const collected = [...collectUniqueMarkets(cards).values()];
+    const requests = new Map();
+
+    const markets = await Promise.all(collected.map(async market => {
+        const path = getSnapshotPath(market);
+        if (!requests.has(path)) requests.set(path, fetchMarketSnapshot(path).catch(() => null));
+        const data = await requests.get(path);
+        return data ? marketFromSnapshot(market, data) : { ...market, liveData: null };
+    }));
+
+    return { marketDataMap: getMarketDataMap(markets), markets };
+}
 
-    // Normalize to SVG coordinates
-    const probs = timeline.map(t => t.prob);
-    const minProb = Math.min(...probs);
-    const maxProb = Math.max(...probs);
-    const range = maxProb - minProb || 0.1; // Avoid division by zero
+/**
+ * Fill in the player's totals and exposure table
+ * @param {Array} cards - The player's cards (as stored)
+ * @param {Array} cardsWithStats - Output of attachCardReturns
+ * @param {string} source - 'stored' or 'live'
+ * @param {Array} markets - Collected markets with live prices (stored ones if omitted)
+ */
+function displayPlayerSummary(cards, cardsWithStats, source, markets = null) {
+    // Decided cards count as certain wins or losses; shared markets are drawn jointly
+    const [player] = groupCardsByPlayer(cardsWithStats);
+    const active = cardsWithStats.filter(c => (c.liveStatus ?? c.status) === 'active').length;
+
+    document.getElementById('player-card-count').textContent = cards.length;
+    document.getElementById('player-stake').textContent = formatMana(player.purchase_price);
+    document.getElementById('player-any-win').textContent = `${(player.liveWinProb * 100).toFixed(1)}%`;
+    document.getElementById('player-ev').textContent = formatMana(player.expectedValue);
+    document.getElementById('player-source').textContent =
+        `${active} of ${cards.length} card${cards.length !== 1 ? 's' : ''} still active` +
+        ` \u00b7 ${source === 'live' ? 'live prices' : 'stored prices, fetching live...'}`;
+
+    renderPlayerExposure(cards, markets ?? [...collectUniqueMarkets(cards).values()]);
+}
 
-    const points = timeline.map((t, i) => {
-        const x = (i / (timeline.length - 1)) * width;
-        const y = height - ((t.prob - minProb) / range) * height;
-        return `${x.toFixed(1)},${y.toFixed(1)}`;
-    }).join(' ');
+/**
+ * Table of the markets on the most of a player's cards
+ */
+function renderPlayerExposure(cards, markets) {
+    const container = document.getElementById('player-exposure');
+    const stakes = new Map(cards.map(card => [card.card_id, card.purchase_price ?? 0]));
+    const stakeOn = (market) => market.cardIds.reduce((sum, id) => sum + (stakes.get(id) ?? 0), 0);
+
+    const ranked = [...markets]
+        .sort((a, b) => (b.cardIds.length - a.cardIds.length) || (stakeOn(b) - stakeOn(a)))
+        .slice(0, EXPOSURE_LIMIT);
+
+    const rows = ranked.map(market => {
+        const question = market.answerText
+            ? `${truncate(market.question, 40)} <span class="activity-answer">${truncate(market.answerText, 30)}</span>`
+            : truncate(market.question, 70);
+        const prob = market.isResolved
+            ? resolutionLabel(market.resolution)
+            : `${(market.currentProb * 100).toFixed(0)}%`;
+        const cardLinks = market.cardIds.map(id => `<a href="card.html?id=${id}">${id}</a>`).join(', ');
 
-    // Determine color based on trend
-    const firstProb = probs[0];
-    const lastProb = probs[probs.length - 1];
-    const color = lastProb > firstProb ? 'var(--success)' :
-                  lastProb < firstProb ? 'var(--danger)' : 'var(--accent)';
+        return `
+            <tr>
+                <td><a href="${market.url}" target="_blank">${question}</a>
+                    <div class="exposure-cards">${cardLinks}</div></td>
+                <td class="num">${market.cardIds.length} / ${cards.length}</td>
+                <td class="num">${formatMana(stakeOn(market))}</td>
+                <td class="num">${prob}</td>
+            </tr>
+        `;
+    }).join('');
 
-    return `
-        <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
-            <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" />
-        </svg>
+    container.innerHTML = `
+        <table class="exposure-table">
+            <tr>
+                <th>Market</th>
+                <th class="num">Cards</th>
+                <th class="num" title="Combined stake of the cards holding this market">Stake</th>
+                <th class="num">Prob</th>
+            </tr>
+            ${rows}
+        </table>
     `;
 }
 
+// ============================================================================
+// COMPARE PAGE FUNCTIONS
+// ============================================================================
+
 /**
- * Show sparkline popup for a cell
+ * Load two cards and show them side by side
  */
-async function showSparklinePopup(cell, contractId, question, marketUrl) {
-    // Remove existing popup
-    const existingPopup = document.querySelector('.sparkline-popup');
-    if (existingPopup) existingPopup.remove();
-
-    // Create popup
-    const popup = document.createElement('div');
-    popup.className = 'sparkline-popup';
-    popup.innerHTML = `
-        <div class="sparkline-header">${truncate(question, 40)}</div>
-        <div class="sparkline-loading">Loading price history...</div>
-    `;
+async function loadComparison(idA, idB) {
+    const columns = document.getElementById('compare-columns');
 
-    // Position popup near cell
-    const rect = cell.getBoundingClientRect();
-    popup.style.position = 'fixed';
-    popup.style.left = `${rect.left}px`;
-    popup.style.top = `${rect.bottom + 5}px`;
+    try {
+        const data = await fetchJson(DATA_PATH + INDEX_FILE);
+        populateComparePicker(data.cards, idA, idB);
 
-    // Keep popup on screen
-    if (rect.left + 280 > window.innerWidth) {
-        popup.style.left = `${window.innerWidth - 290}px`;
-    }
+        if (!idA || !idB) {
+            columns.innerHTML = '<p class="loading">Pick two cards to compare.</p>';
+            return;
+        }
 
-    document.body.appendChild(popup);
+        const entries = [idA, idB].map(id => data.cards.find(card => card.card_id === id));
+        const missing = [idA, idB].filter((id, i) => !entries[i]);
+        if (missing.length > 0) {
+            // The IDs come from the URL, so they go in as text
+            columns.innerHTML = '<p class="loading"></p>';
+            columns.firstChild.textContent = `Card not found: ${missing.join(', ')}`;
+            return;
+        }
 
-    // Fetch and render sparkline
-    const timeline = await fetchBetHistory(contractId);
+        const cards = isSlimIndex(data) ? await loadCardGrids(entries) : entries;
+        if (cards.some(card => !card.grid)) {
+            columns.innerHTML = '<p class="loading">Failed to load card grids. Check console for details.</p>';
+            return;
+        }
+        document.title = `${idA} vs ${idB} - Manifold Bingo 2026`;
 
-    if (timeline && timeline.length >= 2) {
-        const probs = timeline.map(t => t.prob);
-        const firstProb = (probs[0] * 100).toFixed(0);
-        const lastProb = (probs[probs.length - 1] * 100).toFixed(0);
-        const minProb = (Math.min(...probs) * 100).toFixed(0);
-        const maxProb = (Math.max(...probs) * 100).toFixed(0);
+        // Stored probabilities first, then live prices
+        renderComparison(cards, computeCardStats(cards, new Map()), null);
 
-        popup.innerHTML = `
-            <div class="sparkline-header">${truncate(question, 40)}</div>
-            ${renderSparkline(timeline, 150, 40)}
-            <div class="sparkline-stats">
-                <span>Start: ${firstProb}%</span>
-                <span>Now: ${lastProb}%</span>
-                <span>Range: ${minProb}%-${maxProb}%</span>
-            </div>
-            <a href="${marketUrl}" target="_blank" class="sparkline-link">Open on Manifold →</a>
-        `;
-    } else {
-        popup.innerHTML = `
-            <div class="sparkline-header">${truncate(question, 40)}</div>
-            <div class="sparkline-error">No price history available</div>
-            <a href="${marketUrl}" target="_blank" class="sparkline-link">Open on Manifold →</a>
-        `;
+        const { marketDataMap, markets } = await fetchLiveMarkets(cards);
+        const marketsByKey = new Map(markets.map(m => [m.key, m]));
+        renderComparison(cards, computeCardStats(cards, marketDataMap), marketsByKey);
+    } catch (error) {
+        console.error('Failed to load comparison:', error);
+        columns.innerHTML = '<p class="loading">Failed to load cards. Check console for details.</p>';
     }
-
-    // Auto-close on click outside
-    setTimeout(() => {
-        document.addEventListener('click', function closePopup(e) {
-            if (!popup.contains(e.target) && !cell.contains(e.target)) {
-                popup.remove();
-                document.removeEventListener('click', closePopup);
-            }
-        });
-    }, 100);
 }
 
 /**
- * Set up sparkline click handlers for all cells
+ * Fill the two card pickers (player cards, then featured cards)
  */
-function setupSparklineHandlers() {
-    document.querySelectorAll('.bingo-cell').forEach(cell => {
-        cell.addEventListener('click', async (e) => {
-            // Don't trigger on link navigation - use right-click or ctrl+click for that
-            if (e.metaKey || e.ctrlKey || e.button !== 0) return;
-
-            e.preventDefault();
-
-            const index = parseInt(cell.dataset.index);
-            if (index === FREE_SPACE_INDEX) return; // Skip free space
-
-            if (!currentCard) return;
-
-            const market = currentCard.grid[index];
-            if (!market || !market.contract_id) return;
+function populateComparePicker(cards, idA, idB) {
+    const option = (card, selected) =>
+        `<option value="${card.card_id}"${card.card_id === selected ? ' selected' : ''}>@${card.user_handle} (${card.card_id})</option>`;
+    const options = (selected) => `
+        <option value="">Choose a card...</option>
+        ${cards.filter(card => !isFeaturedCard(card)).map(card => option(card, selected)).join('')}
+        <optgroup label="Featured">
+            ${cards.filter(isFeaturedCard).map(card => option(card, selected)).join('')}
+        </optgroup>
+    `;
 
-            const marketUrl = market.url || `https://manifold.markets/${market.slug}`;
-            showSparklinePopup(cell, market.contract_id, market.question, marketUrl);
-        });
-    });
+    document.getElementById('compare-a').innerHTML = options(idA);
+    document.getElementById('compare-b').innerHTML = options(idB);
 }
 
-// ============================================================================
-// 24-HOUR MARKET ACTIVITY FUNCTIONS
-// ============================================================================
+/**
+ * Render both cards, their line odds and the joint win probabilities
+ * @param {Array} cards - The two cards (as stored)
+ * @param {Array} cardsWithStats - Output of computeCardStats for the two cards
+ * @param {Map} marketsByKey - Market key -> collected market with live data (null for stored prices)
+ */
+function renderComparison(cards, cardsWithStats, marketsByKey) {
+    const keySets = cards.map(card => new Set(
+        card.grid.filter((cell, i) => cell.slug && i !== FREE_SPACE_INDEX).map(getMarketKey)
+    ));
+    const sharedKeys = new Set([...keySets[0]].filter(key => keySets[1].has(key)));
+
+    // Each card's own odds are exact; both winning needs shared markets drawn once for both cards
+    const joint = jointCardWinProbs(cardsWithStats);
+    const [a, b] = cardsWithStats;
+    const independent = (a.liveWinProb ?? 0) * (b.liveWinProb ?? 0);
+
+    document.getElementById('compare-a-label').textContent = `${a.card_id} Wins`;
+    document.getElementById('compare-b-label').textContent = `${b.card_id} Wins`;
+    document.getElementById('compare-a-wins').textContent = `${((a.liveWinProb ?? 0) * 100).toFixed(1)}%`;
+    document.getElementById('compare-b-wins').textContent = `${((b.liveWinProb ?? 0) * 100).toFixed(1)}%`;
+    const bothEl = document.getElementById('compare-both');
+    bothEl.textContent = `${(joint.all * 100).toFixed(1)}%`;
+    bothEl.title = `${(independent * 100).toFixed(1)}% if the cards were independent`;
+    document.getElementById('compare-shared').textContent = sharedKeys.size;
+    document.getElementById('compare-source').textContent =
+        `Both win estimated from ${ANY_WIN_SAMPLES.toLocaleString()} joint draws of the markets` +
+        ` \u00b7 ${marketsByKey ? 'live prices' : 'stored prices, fetching live...'}`;
+
+    const columns = document.getElementById('compare-columns');
+    columns.innerHTML = cardsWithStats.map(card => {
+        const grid = marketsByKey
+            ? card.grid.map(cell => getComparedCell(cell, marketsByKey.get(getMarketKey(cell))))
+            : card.grid;
+        return createCompareSide(card, grid, sharedKeys);
+    }).join('');
+}
 
 /**
- * Compute 24-hour statistics from a probability timeline
- * @param {Array} timeline - Array of {time, prob} objects (ascending order)
- * @param {number} currentProb - Current probability from live API
- * @returns {Object} Stats object with prob24hAgo, high24h, low24h, change24h
+ * A cell with its market's live price and resolution
+ * (voided cells keep their stored price, as in computeCardStats)
  */
-function computeMarket24hStats(timeline, currentProb) {
-    const now = Date.now();
-    const oneDayAgo = now - 24 * 60 * 60 * 1000;
+function getComparedCell(cell, market) {
+    if (!market?.liveData) return cell;
+    return {
+        ...cell,
+        ...resolutionFields(market.isResolved ? market.resolution : null),
+        prob: market.isResolved ? cell.prob : market.currentProb
+    };
+}
 
-    if (!timeline || timeline.length === 0) {
-        return {
-            prob24hAgo: null,
-            high24h: null,
-            low24h: null,
-            change24h: null,
-            hasActivity: false
+/**
+ * One side of the comparison: header, grid (shared markets outlined) and line odds
+ */
+function createCompareSide(card, grid, sharedKeys) {
+    const policy = getVoidPolicy(card.season);
+    const status = card.liveStatus ?? card.status;
+    const statusClass = getStatusClass(status);
+
+    const cells = grid.map((cell, i) => {
+        const shared = i !== FREE_SPACE_INDEX && sharedKeys.has(getMarketKey(cell));
+        return createBingoCell(cell, i, policy, shared ? 'shared' : '');
+    }).join('');
+
+    const lineRows = LINES.map(line => {
+        const stats = getLineStats(line, grid, policy);
+        const odds = stats.status === 'complete' ? '100%' :
+                     stats.status === 'blocked' ? '0%' :
+                     `${(stats.prob * 100).toFixed(1)}%`;
+        return `
+            <tr class="${stats.status}">
+                <td>${line.name}</td>
+                <td class="num">${stats.yesCount} / 5</td>
+                <td class="num">${odds}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="compare-side">
+            <h2><a href="card.html?id=${card.card_id}">${card.card_id}</a></h2>
+            <div class="card-meta">
+                <a href="${playerUrl(card.user_handle)}">@${card.user_handle}</a>
+                <span class="status-badge ${statusClass}">${getStatusText(status)}</span>
+                <span>${((card.liveWinProb ?? 0) * 100).toFixed(1)}% win</span>
+            </div>
+            <div class="bingo-grid">${cells}</div>
+            <table class="line-odds-table">
+                <tr><th>Line</th><th class="num">YES</th><th class="num">Odds</th></tr>
+                ${lineRows}
+            </table>
+        </div>
+    `;
+}
+
+// ============================================================================
+// OVERLAP EXPLORER FUNCTIONS
+// ============================================================================
+
+// Card network drawing area (SVG units) and layout passes
+const GRAPH_WIDTH = 800;
+const GRAPH_HEIGHT = 560;
+const GRAPH_MARGIN = 30;
+const GRAPH_ITERATIONS = 300;
+
+// Markets listed in the most-shared ranking
+const SHARED_MARKETS_LIMIT = 25;
+
+// Explorer state: {cards, markets, pairs, order, cardStats, minShared, positions}
+let overlapState = null;
+
+/**
+ * Load the overlap explorer: structure from the card files first,
+ * then win probabilities and 24h changes from cached and live prices
+ */
+async function loadOverlapExplorer() {
+    try {
+        const data = await fetchJson(DATA_PATH + INDEX_FILE);
+
+        // Featured cards draw from their own multi-choice markets, so never overlap
+        const indexCards = data.cards.filter(card => !isFeaturedCard(card));
+        const cards = (isSlimIndex(data) ? await loadCardGrids(indexCards) : indexCards).filter(card => card.grid);
+
+        const marketsMap = collectUniqueMarkets(cards);
+        const pairs = computeCardOverlap(marketsMap);
+        overlapState = {
+            cards,
+            markets: [...marketsMap.values()],
+            pairs,
+            order: orderCardsByOverlap(cards, pairs),
+            cardStats: null,
+            minShared: 2,
+            positions: null
         };
+
+        renderOverlapStats();
+        renderOverlapExplorer();
+        setupOverlapControls();
+
+        // Cached prices first, then live
+        const cached = await loadCachedMarketActivity(overlapState.markets);
+        if (cached) {
+            applyOverlapActivity(cached.markets);
+            const hours = (Date.now() - cached.savedAt) / (1000 * 60 * 60);
+            setCacheStatus(`Cached data from ${formatTimeAgo(hours)} &middot; refreshing...`);
+        }
+        const showProgress = (text) => setCacheStatus(cached ? `Cached data &middot; ${text}` : text);
+        applyOverlapActivity(await fetchMarketActivity(overlapState.markets, showProgress));
+        setCacheStatus('');
+    } catch (error) {
+        console.error('Failed to load overlap explorer:', error);
+        document.getElementById('overlap-graph').innerHTML = '<p class="loading">Failed to load cards. Check console for details.</p>';
     }
+}
+
+/**
+ * Attach market data (live or cached) and redraw
+ */
+function applyOverlapActivity(marketsWithStats) {
+    overlapState.markets = marketsWithStats;
+    const cardsWithStats = computeCardStats(overlapState.cards, getMarketDataMap(marketsWithStats));
+    overlapState.cardStats = new Map(cardsWithStats.map(card => [card.card_id, card]));
+    renderOverlapExplorer();
+}
 
-    // Find entries in the 24h window
-    const entriesIn24h = timeline.filter(t => t.time >= oneDayAgo);
+/**
+ * Redraw the graph, ranking and matrix from the explorer state
+ */
+function renderOverlapExplorer() {
+    renderCardGraph();
+    renderSharedMarkets();
+    renderOverlapMatrix();
+}
 
-    // Find prob24hAgo - the probability closest to 24h ago
-    let prob24hAgo;
-    if (entriesIn24h.length === 0) {
-        // No bets in 24h, use the most recent bet before 24h ago
-        const beforeWindow = timeline.filter(t => t.time < oneDayAgo);
-        if (beforeWindow.length > 0) {
-            prob24hAgo = beforeWindow[beforeWindow.length - 1].prob;
-        } else {
-            prob24hAgo = timeline[0].prob;
+/**
+ * Totals above the explorer
+ */
+function renderOverlapStats() {
+    const { cards, markets, pairs } = overlapState;
+    document.getElementById('overlap-cards').textContent = cards.length;
+    document.getElementById('overlap-markets').textContent = markets.length;
+    document.getElementById('overlap-shared').textContent = markets.filter(m => m.cardIds.length > 1).length;
+    document.getElementById('overlap-pairs').textContent = pairs.length;
+}
+
+/**
+ * Card order that keeps heavily overlapping cards together: start from the
+ * card with the most shared markets, then repeatedly take the unplaced card
+ * sharing the most with the placed ones (ties by index order)
+ */
+function orderCardsByOverlap(cards, pairs) {
+    const weights = new Map(cards.map(card => [card.card_id, new Map()]));
+    for (const pair of pairs) {
+        weights.get(pair.source).set(pair.target, pair.keys.length);
+        weights.get(pair.target).set(pair.source, pair.keys.length);
+    }
+    const total = (id) => [...weights.get(id).values()].reduce((a, b) => a + b, 0);
+
+    const remaining = cards.map(card => card.card_id);
+    const order = [];
+    const score = new Map(remaining.map(id => [id, 0]));
+
+    while (remaining.length > 0) {
+        // Nothing is placed yet for the first pick, so start from the best connected card
+        const rank = order.length === 0 ? total : (id) => score.get(id);
+        let best = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (rank(remaining[i]) > rank(remaining[best])) best = i;
         }
-    } else {
-        // Use the first entry in or just before the 24h window
-        const beforeWindow = timeline.filter(t => t.time < oneDayAgo);
-        if (beforeWindow.length > 0) {
-            prob24hAgo = beforeWindow[beforeWindow.length - 1].prob;
-        } else {
-            prob24hAgo = entriesIn24h[0].prob;
+        const [next] = remaining.splice(best, 1);
+        order.push(next);
+        for (const [other, weight] of weights.get(next)) {
+            if (score.has(other)) score.set(other, score.get(other) + weight);
         }
+        score.delete(next);
     }
 
-    // Compute high/low within 24h window (include currentProb)
-    let high24h, low24h;
-    if (entriesIn24h.length > 0) {
-        const probs24h = entriesIn24h.map(t => t.prob);
-        probs24h.push(currentProb); // Include current prob in range
-        high24h = Math.max(...probs24h);
-        low24h = Math.min(...probs24h);
-    } else {
-        // No activity in 24h
-        high24h = currentProb;
-        low24h = currentProb;
+    return order;
+}
+
+/**
+ * Force-directed positions for the card network (Fruchterman-Reingold,
+ * edges pulling in proportion to shared markets, scaled by the average so
+ * dense and sparse edge sets spread alike). Starts from a circle in overlap
+ * order, so the layout is the same on every load.
+ * @param {Array} order - Card IDs
+ * @param {Array} edges - [{source, target, keys}] to lay out
+ * @returns {Map} Card ID -> {x, y}
+ */
+function layoutCardGraph(order, edges) {
+    const n = order.length;
+    const index = new Map(order.map((id, i) => [id, i]));
+    const cx = GRAPH_WIDTH / 2;
+    const cy = GRAPH_HEIGHT / 2;
+    const k = Math.sqrt((GRAPH_WIDTH * GRAPH_HEIGHT) / Math.max(n, 1)) * 0.5;
+
+    const xs = order.map((id, i) => cx + (GRAPH_WIDTH / 2 - GRAPH_MARGIN) * Math.cos(2 * Math.PI * i / n));
+    const ys = order.map((id, i) => cy + (GRAPH_HEIGHT / 2 - GRAPH_MARGIN) * Math.sin(2 * Math.PI * i / n));
+    const links = edges.map(e => [index.get(e.source), index.get(e.target), e.keys.length]);
+    const averageDegree = Math.max(1, (2 * links.reduce((sum, link) => sum + link[2], 0)) / Math.max(n, 1));
+
+    let temperature = GRAPH_WIDTH / 10;
+    for (let iter = 0; iter < GRAPH_ITERATIONS; iter++) {
+        const dx = new Float64Array(n);
+        const dy = new Float64Array(n);
+
+        // Every pair repels
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const ddx = xs[i] - xs[j];
+                const ddy = ys[i] - ys[j];
+                const dist = Math.max(Math.hypot(ddx, ddy), 0.01);
+                const force = (k * k) / dist;
+                dx[i] += (ddx / dist) * force;
+                dy[i] += (ddy / dist) * force;
+                dx[j] -= (ddx / dist) * force;
+                dy[j] -= (ddy / dist) * force;
+            }
+        }
+
+        // Shared markets attract
+        for (const [i, j, weight] of links) {
+            const ddx = xs[i] - xs[j];
+            const ddy = ys[i] - ys[j];
+            const dist = Math.max(Math.hypot(ddx, ddy), 0.01);
+            const force = (dist * dist / k) * (weight / averageDegree);
+            dx[i] -= (ddx / dist) * force;
+            dy[i] -= (ddy / dist) * force;
+            dx[j] += (ddx / dist) * force;
+            dy[j] += (ddy / dist) * force;
+        }
+
+        // A pull to the centre keeps unconnected cards in view
+        for (let i = 0; i < n; i++) {
+            const dist = Math.max(Math.hypot(xs[i] - cx, ys[i] - cy), 0.01);
+            const gravity = 0.1 * dist / k;
+            dx[i] -= (xs[i] - cx) * gravity;
+            dy[i] -= (ys[i] - cy) * gravity;
+
+            const length = Math.max(Math.hypot(dx[i], dy[i]), 0.01);
+            const step = Math.min(length, temperature);
+            xs[i] = Math.min(GRAPH_WIDTH - GRAPH_MARGIN, Math.max(GRAPH_MARGIN, xs[i] + (dx[i] / length) * step));
+            ys[i] = Math.min(GRAPH_HEIGHT - GRAPH_MARGIN, Math.max(GRAPH_MARGIN, ys[i] + (dy[i] / length) * step));
+        }
+        temperature = Math.max(temperature * 0.98, 1);
     }
 
-    const change24h = currentProb - prob24hAgo;
+    return new Map(order.map((id, i) => [id, { x: xs[i], y: ys[i] }]));
+}
 
-    return {
-        prob24hAgo,
-        high24h,
-        low24h,
-        change24h,
-        hasActivity: entriesIn24h.length > 0
+/**
+ * Card pairs drawn in the network (sharing at least minShared markets)
+ */
+function getVisibleEdges() {
+    return overlapState.pairs.filter(pair => pair.keys.length >= overlapState.minShared);
+}
+
+/**
+ * Draw the card network: nodes colored by 24h change in win probability,
+ * edges as wide as the number of shared markets
+ */
+function renderCardGraph() {
+    const container = document.getElementById('overlap-graph');
+    const { order, cardStats } = overlapState;
+    const edges = getVisibleEdges();
+    if (!overlapState.positions) overlapState.positions = layoutCardGraph(order, edges);
+    const positions = overlapState.positions;
+    const connected = new Set(edges.flatMap(e => [e.source, e.target]));
+
+    const lines = edges.map(edge => {
+        const a = positions.get(edge.source);
+        const b = positions.get(edge.target);
+        return `<line class="graph-edge" data-source="${edge.source}" data-target="${edge.target}"
+                      x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"
+                      stroke-width="${edge.keys.length}"><title>${edge.source} &amp; ${edge.target}: ${edge.keys.length} shared</title></line>`;
+    }).join('');
+
+    const nodes = order.map(id => {
+        const { x, y } = positions.get(id);
+        const card = cardStats?.get(id);
+        const winProb = card?.liveWinProb ?? overlapState.cards.find(c => c.card_id === id).win_probability ?? 0;
+        const change = card?.change24h ?? null;
+        const radius = 5 + 10 * Math.sqrt(winProb);
+        const opacity = change === null ? 1 : 0.35 + 0.65 * Math.min(Math.abs(change) / 0.1, 1);
+
+        return `
+            <g class="graph-node ${signClass(change, 0.005)}${connected.has(id) ? '' : ' isolated'}" data-id="${id}" transform="translate(${x.toFixed(1)},${y.toFixed(1)})">
+                <circle r="${radius.toFixed(1)}" style="fill-opacity: ${opacity.toFixed(2)}"></circle>
+                <text y="${(radius + 11).toFixed(1)}">${id}</text>
+            </g>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <svg class="overlap-graph-svg" viewBox="0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}">
+            <g class="graph-edges">${lines}</g>
+            <g class="graph-nodes">${nodes}</g>
+        </svg>
+    `;
+
+    setupGraphInteraction(container.querySelector('svg'));
+}
+
+/**
+ * Hover to highlight a card's neighbours, drag to move it, click to open it
+ */
+function setupGraphInteraction(svg) {
+    let drag = null;
+
+    const toSvgPoint = (e) => {
+        const rect = svg.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (GRAPH_WIDTH / (rect.width || GRAPH_WIDTH)),
+            y: (e.clientY - rect.top) * (GRAPH_HEIGHT / (rect.height || GRAPH_HEIGHT))
+        };
     };
+
+    svg.querySelectorAll('.graph-node').forEach(node => {
+        const id = node.dataset.id;
+
+        node.addEventListener('mouseenter', () => highlightGraphCard(svg, id));
+        node.addEventListener('mouseleave', () => {
+            if (!drag) highlightGraphCard(svg, null);
+        });
+
+        node.addEventListener('pointerdown', (e) => {
+            drag = { id, start: toSvgPoint(e), moved: false };
+            if (node.setPointerCapture) node.setPointerCapture(e.pointerId);
+        });
+
+        node.addEventListener('pointermove', (e) => {
+            if (!drag || drag.id !== id) return;
+            const point = toSvgPoint(e);
+            if (Math.hypot(point.x - drag.start.x, point.y - drag.start.y) > 3) drag.moved = true;
+            if (!drag.moved) return;
+
+            overlapState.positions.set(id, point);
+            node.setAttribute('transform', `translate(${point.x.toFixed(1)},${point.y.toFixed(1)})`);
+            svg.querySelectorAll(`.graph-edge[data-source="${id}"]`).forEach(line => {
+                line.setAttribute('x1', point.x.toFixed(1));
+                line.setAttribute('y1', point.y.toFixed(1));
+            });
+            svg.querySelectorAll(`.graph-edge[data-target="${id}"]`).forEach(line => {
+                line.setAttribute('x2', point.x.toFixed(1));
+                line.setAttribute('y2', point.y.toFixed(1));
+            });
+        });
+
+        node.addEventListener('pointerup', () => {
+            const clicked = drag && !drag.moved;
+            drag = null;
+            if (clicked) window.location.href = `card.html?id=${id}`;
+        });
+    });
+}
+
+/**
+ * Highlight one card, its edges and neighbours (null clears), and describe it
+ */
+function highlightGraphCard(svg, id) {
+    const info = document.getElementById('graph-info');
+    svg.classList.toggle('has-focus', id !== null);
+    svg.querySelectorAll('.graph-node, .graph-edge').forEach(el => el.classList.remove('focus'));
+
+    if (id === null) {
+        info.innerHTML = 'Hover a card to see what it shares; drag to rearrange, click to open.';
+        return;
+    }
+
+    const partners = getVisibleEdges()
+        .filter(edge => edge.source === id || edge.target === id)
+        .map(edge => ({ id: edge.source === id ? edge.target : edge.source, shared: edge.keys.length }));
+
+    svg.querySelector(`.graph-node[data-id="${id}"]`)?.classList.add('focus');
+    partners.forEach(p => svg.querySelector(`.graph-node[data-id="${p.id}"]`)?.classList.add('focus'));
+    svg.querySelectorAll(`.graph-edge[data-source="${id}"], .graph-edge[data-target="${id}"]`).forEach(el => el.classList.add('focus'));
+
+    const card = overlapState.cardStats?.get(id) ?? overlapState.cards.find(c => c.card_id === id);
+    const winProb = card.liveWinProb ?? card.win_probability;
+    const change = card.change24h != null
+        ? ` &middot; <span class="${signClass(card.change24h, 0.005)}">${card.change24h >= 0 ? '+' : ''}${(card.change24h * 100).toFixed(1)}% 24h</span>`
+        : '';
+    const partnerText = partners.length > 0
+        ? partners.map(p => `${p.id} (${p.shared})`).join(', ')
+        : `no cards sharing ${overlapState.minShared}+ markets`;
+
+    info.innerHTML = `<strong>${id}</strong> (@${card.user_handle}) &middot; ${(winProb * 100).toFixed(1)}% win${change}<br>Shares with: ${partnerText}`;
+}
+
+/**
+ * Ranking of the markets on the most cards
+ */
+function renderSharedMarkets() {
+    const container = document.getElementById('shared-markets');
+    const ranked = overlapState.markets
+        .filter(m => m.cardIds.length > 1)
+        .sort((a, b) => (b.cardIds.length - a.cardIds.length) ||
+            (Math.abs(b.stats?.change24h ?? 0) - Math.abs(a.stats?.change24h ?? 0)))
+        .slice(0, SHARED_MARKETS_LIMIT);
+
+    const rows = ranked.map((market, i) => {
+        const question = market.answerText
+            ? `${truncate(market.question, 50)} <span class="activity-answer">${truncate(market.answerText, 30)}</span>`
+            : truncate(market.question, 80);
+        const prob = market.isResolved
+            ? resolutionLabel(market.resolution)
+            : `${(market.currentProb * 100).toFixed(0)}%`;
+        const change = market.stats?.change24h;
+        const changeHtml = change != null
+            ? `<span class="${signClass(change, 0.005)}">${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%</span>`
+            : '-';
+        const cardLinks = market.cardIds.map(id => `<a href="card.html?id=${id}">${id}</a>`).join(', ');
+
+        return `
+            <tr>
+                <td class="num">${i + 1}</td>
+                <td><a href="${market.url}" target="_blank">${question}</a>
+                    <div class="overlap-card-links">${cardLinks}</div></td>
+                <td class="num">${market.cardIds.length}</td>
+                <td class="num">${prob}</td>
+                <td class="num">${changeHtml}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="overlap-table">
+            <tr>
+                <th class="num">#</th>
+                <th>Market</th>
+                <th class="num">Cards</th>
+                <th class="num">Prob</th>
+                <th class="num">24h</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+}
+
+/**
+ * Market-by-card matrix: cards in overlap order, markets grouped by the
+ * first card holding them so clusters show as blocks
+ */
+function renderOverlapMatrix() {
+    const container = document.getElementById('overlap-matrix');
+    const showAll = document.getElementById('matrix-all-toggle')?.checked;
+    const { order } = overlapState;
+    const column = new Map(order.map((id, i) => [id, i]));
+
+    const firstColumn = (market) => Math.min(...market.cardIds.map(id => column.get(id)));
+    const rows = overlapState.markets
+        .filter(m => showAll || m.cardIds.length > 1)
+        .sort((a, b) => (firstColumn(a) - firstColumn(b)) || (b.cardIds.length - a.cardIds.length));
+
+    const header = order.map(id =>
+        `<th class="matrix-card"><a href="card.html?id=${id}"><span>${id}</span></a></th>`
+    ).join('');
+
+    const body = rows.map(market => {
+        const holders = new Set(market.cardIds);
+        const resolution = market.liveData
+            ? (market.isResolved ? market.resolution : null)
+            : (market.resolved === true ? 'YES' : market.resolved === false ? 'NO' : null);
+        const state = resolution === 'YES' ? ' yes' : resolution === 'NO' ? ' no' : resolution ? ' void' : '';
+        const label = market.answerText ? `${market.question}: ${market.answerText}` : market.question;
+        const cells = order.map(id =>
+            holders.has(id) ? `<td class="hit${state}" title="${id}"></td>` : '<td></td>'
+        ).join('');
+
+        return `
+            <tr>
+                <th class="matrix-market" title="${label}"><a href="${market.url}" target="_blank">${truncate(label, 45)}</a></th>
+                ${cells}
+                <td class="num">${market.cardIds.length}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="overlap-matrix-table">
+            <tr><th></th>${header}<th class="num">Cards</th></tr>
+            ${body}
+        </table>
+    `;
+}
+
+/**
+ * Edge threshold slider and matrix toggle
+ */
+function setupOverlapControls() {
+    const slider = document.getElementById('min-shared');
+    const value = document.getElementById('min-shared-value');
+    const maxShared = overlapState.pairs[0]?.keys.length ?? 1;
+
+    slider.max = Math.max(maxShared, 1);
+    slider.value = Math.min(overlapState.minShared, slider.max);
+    overlapState.minShared = Number(slider.value);
+    value.textContent = slider.value;
+
+    slider.addEventListener('input', () => {
+        overlapState.minShared = Number(slider.value);
+        value.textContent = slider.value;
+        overlapState.positions = null; // Lay out again for the new edge set
+        renderCardGraph();
+    });
+
+    document.getElementById('matrix-all-toggle').addEventListener('change', renderOverlapMatrix);
 }
 
+// ============================================================================
+// SPARKLINE FUNCTIONS
+// ============================================================================
+
+// Cached bet timelines live in the persistent market cache (market-cache.js)
+const TIMELINE_STORE = 'timelines';
+const SNAPSHOT_STORE = 'snapshots';
+
+// Bet history (paged through manifold-client.js's pageBets)
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const BET_CACHE_TTL_MS = 5 * 60 * 1000;
+
 /**
- * Fetch 24h stats for a single market
+ * Fetch bet history for a market, covering at least the window since `since`
+ * Pages backwards with the `before` cursor until the window is covered.
+ * Cached history is extended incrementally: a refresh only fetches bets
+ * newer than the cache, and a wider window only fetches older pages.
+ * The whole market is cached; answerId picks out one answer's timeline.
  * @param {string} contractId - Manifold contract ID
- * @param {number} currentProb - Current probability
- * @returns {Object} Stats object
+ * @param {number} since - Start of the window to cover (ms timestamp)
+ * @param {string} answerId - Answer for multi-choice cells (null for the market)
+ * @returns {Array} Timeline of {time, prob} (ascending), possibly longer than the window
  */
-async function fetchMarket24hStats(contractId, currentProb) {
-    const timeline = await fetchBetHistory(contractId);
-    return computeMarket24hStats(timeline, currentProb);
+async function fetchBetHistory(contractId, since = Date.now() - ONE_DAY_MS, answerId = null) {
+    const record = getTimelineRecord(await cacheGet(TIMELINE_STORE, contractId));
+    const usable = record ? record.value : null;
+    const isFresh = record && (Date.now() - record.savedAt) < BET_CACHE_TTL_MS;
+
+    if (isFresh && usable.coveredSince <= since) {
+        return timelineForAnswer(usable.data, answerId);
+    }
+
+    try {
+        let pages = 0;
+
+        // Newest bets first, until we reach the cached range or the window start
+        let newerBets = [];
+        let base = usable;
+        let exhausted = false;
+
+        if (!base || !isFresh) {
+            let reachedCache = false;
+
+            const result = await pageBets(contractId, {
+                onPage: (bets) => {
+                    const overlap = base ? bets.findIndex(bet => bet.id === base.newestBetId) : -1;
+                    newerBets.push(...(overlap === -1 ? bets : bets.slice(0, overlap)));
+
+                    if (overlap !== -1) {
+                        reachedCache = true;
+                        return true;
+                    }
+                    return !base && bets.length > 0 && bets[bets.length - 1].createdTime < since;
+                }
+            });
+            pages += result.pages;
+            exhausted = result.exhausted && !reachedCache;
+
+            // Couldn't connect to the cached range - start over from what we fetched
+            if (base && !reachedCache) base = null;
+        }
+
+        const oldestNewBet = newerBets[newerBets.length - 1];
+        let oldestBetId = base ? base.oldestBetId : oldestNewBet?.id ?? null;
+        let coveredSince = base ? base.coveredSince
+            : exhausted ? 0 : oldestNewBet?.createdTime ?? 0;
+
+        // Older pages, until the requested window is covered
+        const olderBets = [];
+        if (coveredSince > since && oldestBetId) {
+            const result = await pageBets(contractId, {
+                before: oldestBetId,
+                maxPages: BET_MAX_PAGES - pages,
+                onPage: (bets) => {
+                    olderBets.push(...bets);
+                    if (bets.length === 0) return true;
+                    oldestBetId = bets[bets.length - 1].id;
+                    coveredSince = bets[bets.length - 1].createdTime;
+                    return coveredSince <= since;
+                }
+            });
+            if (result.exhausted) coveredSince = 0;
+        }
+
+        const timeline = [
+            ...betsToTimeline(olderBets),
+            ...(base ? base.data : []),
+            ...betsToTimeline(newerBets)
+        ];
+
+        cachePut(TIMELINE_STORE, contractId, {
+            data: timeline,
+            byAnswer: true,
+            coveredSince,
+            oldestBetId,
+            newestBetId: newerBets[0]?.id ?? base?.newestBetId ?? null
+        });
+        return timelineForAnswer(timeline, answerId);
+    } catch (error) {
+        console.error('Failed to fetch bet history:', error);
+        return usable ? timelineForAnswer(usable.data, answerId) : null;
+    }
 }
 
 /**
- * Collect all unique markets across all cards
- * @param {Array} cards - Array of card objects
- * @returns {Map} Map of slug -> {question, cardIds, currentProb, url}
+ * A cached timeline record, or null for one saved before timeline points
+ * carried their answer (those can't be split into per-answer timelines)
  */
-function collectUniqueMarkets(cards) {
-    const markets = new Map();
+function getTimelineRecord(record) {
+    return record?.value.byAnswer ? record : null;
+}
 
-    for (const card of cards) {
-        if (!card.grid) continue;
+/**
+ * Render sparkline SVG from probability timeline
+ */
+function renderSparkline(timeline, width = 60, height = 20) {
+    if (!timeline || timeline.length < 2) return '';
 
-        for (let i = 0; i < card.grid.length; i++) {
-            const cell = card.grid[i];
-            if (!cell.slug || i === FREE_SPACE_INDEX) continue;
+    // Normalize to SVG coordinates
+    const probs = timeline.map(t => t.prob);
+    const minProb = Math.min(...probs);
+    const maxProb = Math.max(...probs);
+    const range = maxProb - minProb || 0.1; // Avoid division by zero
 
-            if (!markets.has(cell.slug)) {
-                markets.set(cell.slug, {
-                    slug: cell.slug,
-                    question: cell.question,
-                    cardIds: [],
-                    cardHandles: [],
-                    currentProb: cell.prob, // Will be updated with live
-                    url: cell.url || `https://manifold.markets/${cell.slug}`,
-                    resolved: cell.resolved,
-                    contractId: null // Will be filled when fetching live
-                });
-            }
+    const points = timeline.map((t, i) => {
+        const x = (i / (timeline.length - 1)) * width;
+        const y = height - ((t.prob - minProb) / range) * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    // Determine color based on trend
+    const firstProb = probs[0];
+    const lastProb = probs[probs.length - 1];
+    const color = lastProb > firstProb ? 'var(--success)' :
+                  lastProb < firstProb ? 'var(--danger)' : 'var(--accent)';
+
+    return `
+        <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" />
+        </svg>
+    `;
+}
+
+/**
+ * Show sparkline popup for a cell
+ */
+async function showSparklinePopup(cell, contractId, question, marketUrl, answerId = null) {
+    // Remove existing popup
+    const existingPopup = document.querySelector('.sparkline-popup');
+    if (existingPopup) existingPopup.remove();
+
+    // Create popup
+    const popup = document.createElement('div');
+    popup.className = 'sparkline-popup';
+    popup.innerHTML = `
+        <div class="sparkline-header">${truncate(question, 40)}</div>
+        <div class="sparkline-loading">Loading price history...</div>
+    `;
+
+    // Position popup near cell
+    const rect = cell.getBoundingClientRect();
+    popup.style.position = 'fixed';
+    popup.style.left = `${rect.left}px`;
+    popup.style.top = `${rect.bottom + 5}px`;
+
+    // Keep popup on screen
+    if (rect.left + 280 > window.innerWidth) {
+        popup.style.left = `${window.innerWidth - 290}px`;
+    }
+
+    document.body.appendChild(popup);
+
+    // Fetch and render sparkline (since card creation, so "Start" is the card's start)
+    const timeline = await fetchBetHistory(contractId, currentCard?.created_time, answerId);
+
+    if (timeline && timeline.length >= 2) {
+        const probs = timeline.map(t => t.prob);
+        const firstProb = (probs[0] * 100).toFixed(0);
+        const lastProb = (probs[probs.length - 1] * 100).toFixed(0);
+        const minProb = (Math.min(...probs) * 100).toFixed(0);
+        const maxProb = (Math.max(...probs) * 100).toFixed(0);
 
-            const market = markets.get(cell.slug);
-            if (!market.cardIds.includes(card.card_id)) {
-                market.cardIds.push(card.card_id);
-                market.cardHandles.push(card.user_handle);
+        popup.innerHTML = `
+            <div class="sparkline-header">${truncate(question, 40)}</div>
+            ${renderSparkline(timeline, 150, 40)}
+            <div class="sparkline-stats">
+                <span title="${formatDate(timeline[0].time)}">Start: ${firstProb}%</span>
+                <span>Now: ${lastProb}%</span>
+                <span>Range: ${minProb}%-${maxProb}%</span>
+            </div>
+            <a href="${marketUrl}" target="_blank" class="sparkline-link">Open on Manifold →</a>
+        `;
+    } else {
+        popup.innerHTML = `
+            <div class="sparkline-header">${truncate(question, 40)}</div>
+            <div class="sparkline-error">No price history available</div>
+            <a href="${marketUrl}" target="_blank" class="sparkline-link">Open on Manifold →</a>
+        `;
+    }
+
+    // Auto-close on click outside
+    setTimeout(() => {
+        document.addEventListener('click', function closePopup(e) {
+            if (!popup.contains(e.target) && !cell.contains(e.target)) {
+                popup.remove();
+                document.removeEventListener('click', closePopup);
             }
-        }
+        });
+    }, 100);
+}
+
+/**
+ * Set up sparkline click handlers for all cells
+ */
+function setupSparklineHandlers() {
+    document.querySelectorAll('.bingo-cell').forEach(cell => {
+        cell.addEventListener('click', async (e) => {
+            // Don't trigger on link navigation - use right-click or ctrl+click for that
+            if (e.metaKey || e.ctrlKey || e.button !== 0) return;
+
+            e.preventDefault();
+
+            const index = parseInt(cell.dataset.index);
+            if (index === FREE_SPACE_INDEX) return; // Skip free space
+
+            if (!currentCard) return;
+
+            const market = currentCard.grid[index];
+            if (!market || !market.contract_id) return;
+
+            const marketUrl = market.url || `https://manifold.markets/${market.slug}`;
+            showSparklinePopup(cell, market.contract_id, market.answer_text || market.question, marketUrl, market.answer_id);
+        });
+    });
+}
+
+// ============================================================================
+// WIN PROBABILITY HISTORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Fetch all of a card's bet timelines and render its win probability chart
+ */
+async function loadWinProbHistory(card, liveWinProb) {
+    const chartEl = document.getElementById('win-prob-chart');
+    if (!chartEl) return;
+
+    chartEl.innerHTML = '<p class="loading">Reconstructing win probability history...</p>';
+
+    const timelines = await Promise.all(card.grid.map((cell, i) => {
+        if (i === FREE_SPACE_INDEX || !cell.contract_id) return null;
+        return fetchBetHistory(cell.contract_id, card.created_time, cell.answer_id);
+    }));
+    const resolutions = card.grid.map(cell => cell.live_resolution ?? null);
+
+    const history = buildWinProbHistory(card.grid, timelines, resolutions, card.created_time, {
+        finalProb: liveWinProb,
+        policy: getVoidPolicy(card.season)
+    });
+
+    chartEl.innerHTML = renderWinProbChart(history, card.grid);
+}
+
+/**
+ * Render win probability history as an SVG chart with resolution markers
+ */
+function renderWinProbChart(history, grid, width = 600, height = 160) {
+    const { series, markers } = history;
+    if (!series || series.length < 2) {
+        return '<p class="loading">Not enough price history yet.</p>';
     }
 
-    return markets;
+    const start = series[0].time;
+    const end = series[series.length - 1].time;
+    const span = end - start || 1;
+    const x = (time) => ((time - start) / span) * width;
+    const y = (prob) => height - prob * height;
+
+    // Step line: hold each value until the next change
+    const points = [];
+    series.forEach((point, i) => {
+        if (i > 0) points.push(`${x(point.time).toFixed(1)},${y(series[i - 1].prob).toFixed(1)}`);
+        points.push(`${x(point.time).toFixed(1)},${y(point.prob).toFixed(1)}`);
+    });
+
+    const gridLines = [0.25, 0.5, 0.75].map(p => `
+        <line x1="0" y1="${y(p)}" x2="${width}" y2="${y(p)}" class="chart-gridline" />
+        <text x="2" y="${y(p) - 2}" class="chart-label">${p * 100}%</text>
+    `).join('');
+
+    const markerDots = markers.map(m => {
+        const color = m.resolution === 'YES' ? 'var(--success)' :
+                      m.resolution === 'NO' ? 'var(--danger)' : 'var(--text-secondary)';
+        const question = grid[m.index]?.question || 'Market';
+        const label = VOID_RESOLUTION_LABELS[m.resolution] ?? m.resolution;
+        return `
+            <circle cx="${x(m.time).toFixed(1)}" cy="${y(m.prob).toFixed(1)}" r="4" fill="${color}">
+                <title>${question} resolved ${label} (${formatDate(m.time)}): ${(m.prob * 100).toFixed(1)}%</title>
+            </circle>
+        `;
+    }).join('');
+
+    return `
+        <svg class="win-prob-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            ${gridLines}
+            <polyline points="${points.join(' ')}" fill="none" stroke="var(--accent)" stroke-width="1.5" />
+            ${markerDots}
+        </svg>
+        <div class="chart-axis">
+            <span>${formatDate(start)}</span>
+            <span>${(series[series.length - 1].prob * 100).toFixed(1)}% now</span>
+            <span>${formatDate(end)}</span>
+        </div>
+    `;
 }
 
+// ============================================================================
+// 24-HOUR MARKET ACTIVITY FUNCTIONS
+// ============================================================================
+
 /**
  * Display market activity feed (main index page)
- * Shows markets sorted by: resolutions first, then biggest movers
+ * Shows markets sorted by: resolutions first, then biggest movers.
+ * Renders from the persistent cache first (if any), then refreshes live.
  */
 async function displayMarketActivity(cards) {
     const container = document.getElementById('market-activity');
@@ -1109,6 +1981,9 @@ async function displayMarketActivity(cards) {
 
     container.innerHTML = '<p class="loading">Fetching live market data...</p>';
 
+    // Traded card prices load alongside the individual markets
+    const cardMarketPricesPromise = fetchCardMarketPrices();
+
     // Collect unique markets
     const marketsMap = collectUniqueMarkets(cards);
     const markets = Array.from(marketsMap.values());
@@ -1118,57 +1993,163 @@ async function displayMarketActivity(cards) {
         return;
     }
 
-    // Fetch live prices for all markets (with rate limiting)
-    const BATCH_SIZE = 10;
-    const marketsList = [];
-
-    for (let i = 0; i < markets.length; i += BATCH_SIZE) {
-        const batch = markets.slice(i, i + BATCH_SIZE);
-        const promises = batch.map(async (market) => {
-            try {
-                const response = await fetch(`${MANIFOLD_API}/slug/${market.slug}?lite=true`);
-                if (!response.ok) return { ...market, liveData: null };
-
-                const data = await response.json();
-                return {
-                    ...market,
-                    currentProb: data.probability || data.prob || market.currentProb,
-                    contractId: data.id,
-                    isResolved: data.isResolved,
-                    resolution: data.resolution,
-                    liveData: data
-                };
-            } catch (e) {
-                return { ...market, liveData: null };
-            }
-        });
+    // Render immediately from cached data, marked with its age
+    const cached = await loadCachedMarketActivity(markets);
+    if (cached) {
+        renderMarketData(container, cards, cached.markets, await getCachedCardMarketPrices());
+        const hours = (Date.now() - cached.savedAt) / (1000 * 60 * 60);
+        setCacheStatus(`Cached data from ${formatTimeAgo(hours)} &middot; refreshing...`);
+    }
 
-        const results = await Promise.all(promises);
-        marketsList.push(...results);
+    // Progress goes to the status line when cached data is already showing
+    const showProgress = (text) => {
+        if (cached) setCacheStatus(`Cached data &middot; ${text}`);
+        else container.innerHTML = `<p class="loading">${text}</p>`;
+    };
+
+    const marketsWithStats = await fetchMarketActivity(markets, showProgress);
+
+    renderMarketData(container, cards, marketsWithStats, await cardMarketPricesPromise);
+    setCacheStatus('');
+}
+
+/**
+ * Fetch live snapshots and 24h stats for collected markets
+ * @param {Array} markets - Collected markets
+ * @param {Function} showProgress - Called with progress text
+ * @returns {Array} Markets with live data, stats and timeline
+ */
+async function fetchMarketActivity(markets, showProgress) {
+    // Fetch live prices for all markets (the API client enforces the rate budget);
+    // answers of one multi-choice market share a request
+    const snapshotRequests = new Map();
+    let fetchedCount = 0;
+    const marketsList = await Promise.all(markets.map(async (market) => {
+        const path = getSnapshotPath(market);
+        if (!snapshotRequests.has(path)) snapshotRequests.set(path, fetchMarketSnapshot(path));
+
+        let result;
+        try {
+            result = marketFromSnapshot(market, await snapshotRequests.get(path));
+        } catch (e) {
+            result = { ...market, liveData: null };
+        }
 
         // Update progress
-        const progress = Math.min(100, Math.round((i + batch.length) / markets.length * 100));
-        container.innerHTML = `<p class="loading">Fetching market data... ${progress}%</p>`;
-    }
+        fetchedCount++;
+        const progress = Math.round(fetchedCount / markets.length * 100);
+        showProgress(`Fetching market data... ${progress}%`);
+        return result;
+    }));
 
     // Now fetch 24h stats for markets with contract IDs
-    container.innerHTML = '<p class="loading">Computing 24h changes...</p>';
-
-    const marketsWithStats = [];
-    for (let i = 0; i < marketsList.length; i += BATCH_SIZE) {
-        const batch = marketsList.slice(i, i + BATCH_SIZE);
-        const promises = batch.map(async (market) => {
-            if (!market.contractId) {
-                return { ...market, stats: null };
-            }
-            const stats = await fetchMarket24hStats(market.contractId, market.currentProb);
-            return { ...market, stats };
+    showProgress('Computing 24h changes...');
+
+    // Bets cover the last day and, for the leaderboard's win probability
+    // histories, everything since the first card holding the market was made
+    const dayAgo = Date.now() - ONE_DAY_MS;
+    const historySince = new Map();
+    marketsList.forEach(market => {
+        if (!market.contractId) return;
+        const since = Math.min(market.firstCardTime ?? dayAgo, dayAgo, historySince.get(market.contractId) ?? dayAgo);
+        historySince.set(market.contractId, since);
+    });
+
+    // Bets are fetched once per market and split by answer
+    const historyRequests = new Map();
+    const marketsWithStats = await Promise.all(marketsList.map(async (market) => {
+        if (!market.contractId) {
+            return { ...market, stats: null, timeline: null };
+        }
+        if (!historyRequests.has(market.contractId)) {
+            historyRequests.set(market.contractId, fetchBetHistory(market.contractId, historySince.get(market.contractId)));
+        }
+        // Keep the timeline for card win probability histories
+        const timeline = timelineForAnswer(await historyRequests.get(market.contractId), market.answerId);
+        const stats = computeMarket24hStats(timeline, market.currentProb);
+        return { ...market, stats, timeline };
+    }));
+
+    return marketsWithStats;
+}
+
+/**
+ * API path for a collected market's snapshot
+ * Multi-choice answers need the full market (lite snapshots have no answers).
+ */
+function getSnapshotPath(market) {
+    return market.answerId ? `/slug/${market.slug}` : `/slug/${market.slug}?lite=true`;
+}
+
+/**
+ * Merge a market snapshot from the API into a collected market
+ * (answer-level probability and resolution for multi-choice answers)
+ */
+function marketFromSnapshot(market, data) {
+    const state = getCellMarketState({ slug: market.slug, answer_id: market.answerId }, data);
+    return {
+        ...market,
+        currentProb: state.prob ?? market.currentProb,
+        contractId: data.id,
+        isResolved: state.isResolved,
+        resolution: state.resolution,
+        resolutionTime: state.resolutionTime,
+        resolutionProbability: state.resolutionProbability,
+        liveData: data
+    };
+}
+
+/**
+ * Market data map for computeCardStats, keyed by market key
+ * Markets that failed to load are left out so their cells keep the stored values.
+ * @param {Array} markets - Collected markets with live data (and optional stats and timeline)
+ */
+function getMarketDataMap(markets) {
+    const marketDataMap = new Map();
+    markets.filter(m => m.liveData).forEach(m => {
+        marketDataMap.set(m.key, {
+            currentProb: m.currentProb,
+            stats: m.stats ?? null,
+            timeline: m.timeline ?? null,
+            resolution: m.isResolved ? { resolution: m.resolution, time: m.resolutionTime } : null
         });
+    });
+    return marketDataMap;
+}
 
-        const results = await Promise.all(promises);
-        marketsWithStats.push(...results);
-    }
+/**
+ * Build activity data from the persistent cache
+ * @param {Array} markets - Collected markets
+ * @returns {Object|null} {markets, savedAt} (savedAt of the oldest snapshot), or null if nothing is cached
+ */
+async function loadCachedMarketActivity(markets) {
+    const paths = markets.map(getSnapshotPath);
+    const snapshots = await cacheGetMany(SNAPSHOT_STORE, paths);
+    if (snapshots.size === 0) return null;
+
+    const contractIds = [...snapshots.values()].map(r => r.value.id).filter(Boolean);
+    const timelines = await cacheGetMany(TIMELINE_STORE, contractIds);
+
+    let savedAt = Date.now();
+    const cachedMarkets = markets.map((market, i) => {
+        const record = snapshots.get(paths[i]);
+        if (!record) return { ...market, liveData: null, stats: null, timeline: null };
+
+        savedAt = Math.min(savedAt, record.savedAt);
+        const result = marketFromSnapshot(market, record.value);
+        const timelineRecord = getTimelineRecord(timelines.get(result.contractId));
+        const timeline = timelineRecord ? timelineForAnswer(timelineRecord.value.data, market.answerId) : null;
+        const stats = computeMarket24hStats(timeline, result.currentProb);
+        return { ...result, stats, timeline };
+    });
+
+    return { markets: cachedMarkets, savedAt };
+}
 
+/**
+ * Render the activity feed and leaderboard from market data
+ */
+function renderMarketData(container, cards, marketsWithStats, cardMarketPrices) {
     // Sort markets: resolutions first, then by absolute 24h change
     marketsWithStats.sort((a, b) => {
         // Resolved markets first
@@ -1183,72 +2164,38 @@ async function displayMarketActivity(cards) {
 
     // Render the activity feed
     renderActivityFeed(container, marketsWithStats);
-
-    // Build market data map for card stats
-    const marketDataMap = new Map();
-    marketsWithStats.forEach(m => {
-        marketDataMap.set(m.slug, {
-            currentProb: m.currentProb,
-            stats: m.stats
-        });
-    });
+    activityMarkets = marketsWithStats;
 
     // Compute and display card stats in leaderboard
-    const cardsWithStats = computeCardStats(cards, marketDataMap);
+    const marketDataMap = getMarketDataMap(marketsWithStats);
+    let cardsWithStats = attachCardReturns(attachCardMarketPrices(computeCardStats(cards, marketDataMap), cardMarketPrices));
+    cardsWithStats = attachWinProbHistories(cardsWithStats, marketDataMap);
     const leaderboard = document.getElementById('leaderboard');
     displayLiveLeaderboard(cardsWithStats, leaderboard);
-}
 
-// Current sort state for activity feed
-let activitySortState = { column: 'change', direction: 'desc' };
+    updateKingmakers(cards, marketsWithStats, marketDataMap);
+    updateSeasonOutlook(cards, marketsWithStats, marketDataMap);
 
-/**
- * Sort markets by a column (stable sort - preserves previous order for ties)
- */
-function sortMarkets(markets, column, direction) {
-    const multiplier = direction === 'desc' ? -1 : 1;
-
-    return [...markets].sort((a, b) => {
-        let valA, valB;
-
-        switch (column) {
-            case 'resolved':
-                // Resolved first (desc) or last (asc)
-                valA = a.isResolved ? 1 : 0;
-                valB = b.isResolved ? 1 : 0;
-                break;
-            case 'question':
-                valA = (a.question || '').toLowerCase();
-                valB = (b.question || '').toLowerCase();
-                return multiplier * valA.localeCompare(valB);
-            case 'prob':
-                // Resolved markets sort at 100% (YES) or 0% (NO)
-                valA = a.isResolved ? (a.resolution === 'YES' ? 1.0 : 0.0) : (a.currentProb ?? 0);
-                valB = b.isResolved ? (b.resolution === 'YES' ? 1.0 : 0.0) : (b.currentProb ?? 0);
-                break;
-            case 'change':
-                // Sort by actual value (biggest gainers first when desc)
-                valA = a.stats?.change24h ?? 0;
-                valB = b.stats?.change24h ?? 0;
-                break;
-            case 'range':
-                // Sort by range width (high - low)
-                valA = (a.stats?.high24h ?? 0) - (a.stats?.low24h ?? 0);
-                valB = (b.stats?.high24h ?? 0) - (b.stats?.low24h ?? 0);
-                break;
-            case 'cards':
-                valA = a.cardIds?.length ?? 0;
-                valB = b.cardIds?.length ?? 0;
-                break;
-            default:
-                return 0;
-        }
+    // Winners and active counts follow the market resolutions
+    displayStats({ cards: cardsWithStats });
+}
 
-        if (valA === valB) return 0;
-        return multiplier * (valA > valB ? 1 : -1);
+/**
+ * Show cache age / refresh progress above the activity feed and leaderboard
+ */
+function setCacheStatus(html) {
+    document.querySelectorAll('.cache-status').forEach(el => {
+        el.innerHTML = html;
+        el.style.display = html ? '' : 'none';
     });
 }
 
+// Markets shown in the activity feed (for live updates)
+let activityMarkets = [];
+
+// Current sort state for activity feed
+let activitySortState = { column: 'change', direction: 'desc' };
+
 /**
  * Handle sort header click
  */
@@ -1283,20 +2230,31 @@ function renderActivityFeed(container, markets, originalMarkets = null) {
 
     const rows = markets.map(market => {
         const cardCount = market.cardIds.length;
-        const question = truncate(market.question, 50);
+        // Multi-choice answers show which answer the row tracks
+        const question = market.answerText
+            ? `${truncate(market.question, 30)} <span class="activity-answer">${truncate(market.answerText, 30)}</span>`
+            : truncate(market.question, 50);
 
         // Determine display based on resolution status
         if (market.isResolved) {
+            // N/A and MKT cells count per the season's void policy
+            const voidAction = getVoidAction({ resolution: market.resolution });
             const resIcon = market.resolution === 'YES' ? '&#x2705;' :
-                           market.resolution === 'NO' ? '&#x274C;' : '&#x2753;';
-            const resText = market.resolution || 'N/A';
+                           market.resolution === 'NO' ? '&#x274C;' :
+                           voidAction ? '&#x26AA;' : '&#x2753;';
+            let resText = VOID_RESOLUTION_LABELS[market.resolution] ?? market.resolution ?? '?';
+            if (market.resolution === 'MKT' && market.resolutionProbability != null) {
+                resText += ` ${(market.resolutionProbability * 100).toFixed(0)}%`;
+            }
+            const resClass = voidAction ? 'resolved-void' : `resolved-${(market.resolution || '').toLowerCase()}`;
+            const changeText = voidAction ? VOID_ACTION_LABELS[voidAction].long.toUpperCase() : 'RESOLVED';
 
             return `
-                <div class="activity-row resolved" data-slug="${market.slug}">
+                <div class="activity-row resolved${voidAction ? ' void' : ''}" data-key="${market.key}">
                     <span class="activity-icon">${resIcon}</span>
                     <a href="${market.url}" target="_blank" class="activity-question">${question}</a>
-                    <span class="activity-prob resolved-${resText.toLowerCase()}">${resText}</span>
-                    <span class="activity-change">RESOLVED</span>
+                    <span class="activity-prob ${resClass}">${resText}</span>
+                    <span class="activity-change">${changeText}</span>
                     <span class="activity-range"></span>
                     <span class="activity-cards" title="${market.cardHandles.map(h => '@' + h).join(', ')}">${cardCount} card${cardCount !== 1 ? 's' : ''}</span>
                 </div>
@@ -1332,7 +2290,7 @@ function renderActivityFeed(container, markets, originalMarkets = null) {
         }
 
         return `
-            <div class="activity-row" data-slug="${market.slug}">
+            <div class="activity-row" data-key="${market.key}">
                 <span class="activity-icon">${icon}</span>
                 <a href="${market.url}" target="_blank" class="activity-question">${question}</a>
                 <span class="activity-prob">${prob}%</span>
@@ -1388,8 +2346,8 @@ function setupActivityRowHandlers(markets, container) {
             // Don't trigger on link clicks
             if (e.target.tagName === 'A') return;
 
-            const slug = row.dataset.slug;
-            const market = markets.find(m => m.slug === slug);
+            const key = row.dataset.key;
+            const market = markets.find(m => m.key === key);
             if (!market) return;
 
             // Toggle expanded state
@@ -1406,9 +2364,10 @@ function setupActivityRowHandlers(markets, container) {
             expansion.innerHTML = `
                 <div class="expansion-header">Cards containing this market:</div>
                 ${market.cardIds.map((cardId, i) => `
-                    <a href="card.html?id=${cardId}" class="expansion-card">
-                        @${market.cardHandles[i]}
-                    </a>
+                    <span class="expansion-card">
+                        <a href="${playerUrl(market.cardHandles[i])}">@${market.cardHandles[i]}</a>
+                        <a href="card.html?id=${cardId}" class="expansion-card-id">${cardId}</a>
+                    </span>
                 `).join('')}
             `;
 
@@ -1418,13 +2377,423 @@ function setupActivityRowHandlers(markets, container) {
     });
 }
 
+// ============================================================================
+// KINGMAKER FUNCTIONS
+// ============================================================================
+
+const KINGMAKER_WORKER = 'kingmaker-worker.js';
+
+// Cards listed when a kingmaker row is expanded
+const KINGMAKER_CARD_LIMIT = 10;
+
+// Inputs for the Kingmakers view ({cards, markets, marketDataMap}), its
+// computed rows (null until the view is opened after new data) and the running worker
+let kingmakerInput = null;
+let kingmakerRows = null;
+let kingmakerWorker = null;
+
+/**
+ * Keep the latest market data for the Kingmakers view, recomputing now if it's showing
+ */
+function updateKingmakers(cards, markets, marketDataMap) {
+    kingmakerInput = { cards, markets, marketDataMap };
+    kingmakerRows = null;
+    if (kingmakerWorker) {
+        kingmakerWorker.terminate();
+        kingmakerWorker = null;
+    }
+
+    const view = document.getElementById('kingmakers-view');
+    if (view && view.style.display !== 'none') displayKingmakers();
+}
+
+/**
+ * Render the Kingmakers view: unresolved markets ranked by how far a YES
+ * versus a NO would move the expected number of winners
+ */
+function displayKingmakers() {
+    const container = document.getElementById('kingmakers');
+    if (!container) return;
+
+    if (!kingmakerInput) {
+        container.innerHTML = '<p class="loading">Waiting for market data...</p>';
+        return;
+    }
+
+    if (kingmakerRows) {
+        renderKingmakers(container);
+        return;
+    }
+    runKingmakers(container);
+}
+
+/**
+ * Compute the kingmaker rows in a Web Worker with the current market data
+ */
+function runKingmakers(container) {
+    if (typeof Worker === 'undefined') {
+        container.innerHTML = '<p class="loading">Market impact needs Web Worker support</p>';
+        return;
+    }
+    if (kingmakerWorker) kingmakerWorker.terminate();
+
+    // Workers get plain copies: open markets with just what the rows show
+    const input = kingmakerInput;
+    const markets = input.markets
+        .filter(market => (market.liveData ? !market.isResolved : market.resolved == null))
+        .map(market => ({
+            key: market.key,
+            question: market.question,
+            answerText: market.answerText,
+            url: market.url,
+            currentProb: market.currentProb,
+            cardIds: market.cardIds
+        }));
+    const cards = input.cards.map(card => ({
+        card_id: card.card_id,
+        user_handle: card.user_handle,
+        status: card.status,
+        season: card.season,
+        grid: card.grid,
+        win_probability: card.win_probability
+    }));
+
+    const marketDataMap = new Map([...input.marketDataMap].map(([key, data]) => [key, { ...data, timeline: null }]));
+
+    container.innerHTML = '<p class="loading">Computing market impact...</p>';
+
+    const worker = new Worker(KINGMAKER_WORKER, { type: 'module' });
+    kingmakerWorker = worker;
+    worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+            container.innerHTML = `<p class="loading">Computing market impact... ${Math.round(msg.done / msg.total * 100)}%</p>`;
+            return;
+        }
+
+        worker.terminate();
+        if (kingmakerWorker === worker) kingmakerWorker = null;
+        if (input !== kingmakerInput) return;
+        kingmakerRows = msg.rows;
+        renderKingmakers(container);
+    };
+    worker.onerror = (e) => {
+        console.error('Kingmaker worker failed:', e);
+        container.innerHTML = '<p class="loading">Market impact failed</p>';
+        if (kingmakerWorker === worker) kingmakerWorker = null;
+    };
+
+    worker.postMessage({ cards, marketDataMap, markets });
+}
+
+/**
+ * Kingmaker rows with the current expected number of winners above them
+ */
+function renderKingmakers(container) {
+    if (kingmakerRows.length === 0) {
+        container.innerHTML = '<p class="loading">No unresolved markets.</p>';
+        return;
+    }
+
+    const { cards, marketDataMap } = kingmakerInput;
+    const expectedWinners = computeCardStats(cards, marketDataMap)
+        .reduce((sum, card) => sum + (card.liveWinProb ?? 0), 0);
+    const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+    const rows = kingmakerRows.map((row, i) => {
+        const { market } = row;
+        const question = market.answerText
+            ? `${truncate(market.question, 30)} <span class="activity-answer">${truncate(market.answerText, 30)}</span>`
+            : truncate(market.question, 50);
+        const cardCount = row.cards.length;
+
+        return `
+            <div class="kingmaker-row" data-key="${market.key}">
+                <span class="rank">#${i + 1}</span>
+                <a href="${market.url}" target="_blank" class="activity-question">${question}</a>
+                <span class="activity-prob">${(market.currentProb * 100).toFixed(0)}%</span>
+                <span class="activity-change ${signClass(row.ifYes, 0.005)}">${signed(row.ifYes)}</span>
+                <span class="activity-change ${signClass(row.ifNo, 0.005)}">${signed(row.ifNo)}</span>
+                <span class="kingmaker-swing">${row.swing.toFixed(2)}</span>
+                <span class="activity-cards">${cardCount} card${cardCount !== 1 ? 's' : ''}</span>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <p class="kingmaker-summary">
+            Expected winners now: <strong>${expectedWinners.toFixed(2)}</strong> of ${cards.length} cards.
+            Columns show how that total moves if the market resolves YES or NO.
+        </p>
+        <div class="kingmaker-header">
+            <span class="rank"></span>
+            <span>Market</span>
+            <span class="activity-prob">Prob</span>
+            <span class="activity-change" title="Change in expected winners if the market resolves YES">If YES</span>
+            <span class="activity-change" title="Change in expected winners if the market resolves NO">If NO</span>
+            <span class="kingmaker-swing" title="Expected winners if YES minus if NO">Swing</span>
+            <span class="activity-cards">Cards</span>
+        </div>
+        ${rows}
+    `;
+
+    setupKingmakerRowHandlers(container);
+}
+
+/**
+ * Expand a row to list the cards that gain or lose the most
+ */
+function setupKingmakerRowHandlers(container) {
+    container.querySelectorAll('.kingmaker-row').forEach(rowEl => {
+        rowEl.addEventListener('click', (e) => {
+            if (e.target.tagName === 'A') return;
+
+            const existing = rowEl.querySelector('.activity-expansion');
+            if (existing) {
+                existing.remove();
+                rowEl.classList.remove('expanded');
+                return;
+            }
+
+            const row = kingmakerRows.find(r => r.market.key === rowEl.dataset.key);
+            if (!row) return;
+
+            const pct = (p) => `${(p * 100).toFixed(1)}%`;
+            const delta = (p) => `<span class="${signClass(p, 0.0005)}">${p >= 0 ? '+' : ''}${(p * 100).toFixed(1)}%</span>`;
+            const cardRows = row.cards.slice(0, KINGMAKER_CARD_LIMIT).map(card => `
+                <tr>
+                    <td><a href="card.html?id=${card.card_id}">${card.card_id}</a>
+                        <a href="${playerUrl(card.user_handle)}" class="kingmaker-handle">@${card.user_handle}</a></td>
+                    <td class="num">${pct(card.current)}</td>
+                    <td class="num">${pct(card.ifYes)} ${delta(card.ifYes - card.current)}</td>
+                    <td class="num">${pct(card.ifNo)} ${delta(card.ifNo - card.current)}</td>
+                </tr>
+            `).join('');
+            const more = row.cards.length > KINGMAKER_CARD_LIMIT
+                ? `<div class="expansion-header">and ${row.cards.length - KINGMAKER_CARD_LIMIT} more</div>`
+                : '';
+
+            const expansion = document.createElement('div');
+            expansion.className = 'activity-expansion';
+            expansion.innerHTML = `
+                <div class="expansion-header">Cards with the most at stake:</div>
+                <table class="kingmaker-cards">
+                    <tr><th>Card</th><th class="num">Now</th><th class="num">If YES</th><th class="num">If NO</th></tr>
+                    ${cardRows}
+                </table>
+                ${more}
+            `;
+
+            rowEl.appendChild(expansion);
+            rowEl.classList.add('expanded');
+        });
+    });
+}
+
+// ============================================================================
+// SEASON OUTLOOK FUNCTIONS
+// ============================================================================
+
+const SEASON_WORKER = 'season-worker.js';
+const MARKETS_FILE = 'markets.json';
+
+// Winner counts below this probability are left off the chart
+const OUTLOOK_MIN_BAR = 0.001;
+
+// Cards listed in the who-wins-first table
+const OUTLOOK_CARD_LIMIT = 20;
+
+// Inputs for the Season outlook ({cards, markets, marketDataMap}), its
+// result (null until the tab is opened after new data) and the running worker
+let outlookInput = null;
+let outlookResult = null;
+let seasonWorker = null;
+
+/**
+ * Keep the latest market data for the Season outlook, rerunning now if it's showing
+ */
+function updateSeasonOutlook(cards, markets, marketDataMap) {
+    outlookInput = { cards, markets, marketDataMap };
+    outlookResult = null;
+
+    const view = document.getElementById('outlook-view');
+    if (view && view.style.display !== 'none') displaySeasonOutlook();
+}
+
+/**
+ * Render the Season outlook, starting the simulation if there's no result for the current data
+ */
+function displaySeasonOutlook() {
+    const container = document.getElementById('outlook');
+    if (!container) return;
+
+    if (!outlookInput) {
+        container.innerHTML = '<p class="loading">Waiting for market data...</p>';
+        return;
+    }
+    if (outlookResult) {
+        renderSeasonOutlook(container, outlookResult);
+        return;
+    }
+    runSeasonSimulation(container);
+}
+
+/**
+ * Simulate the season in a Web Worker with the current market data
+ */
+async function runSeasonSimulation(container) {
+    if (typeof Worker === 'undefined') {
+        container.innerHTML = '<p class="loading">Season simulation needs Web Worker support</p>';
+        return;
+    }
+    if (seasonWorker) seasonWorker.terminate();
+
+    const input = outlookInput;
+    container.innerHTML = '<p class="loading">Preparing season simulation...</p>';
+    const { resolveTimes, defaultTime } = await getResolveTimes(input.markets);
+    if (input !== outlookInput) return; // Newer data arrived while loading
+
+    // Workers get plain copies: just what the simulation reads
+    const cards = computeCardStats(input.cards, input.marketDataMap).map(card => ({
+        card_id: card.card_id,
+        user_handle: card.user_handle,
+        season: card.season,
+        grid: card.grid,
+        liveProbs: card.liveProbs
+    }));
+
+    const worker = new Worker(SEASON_WORKER, { type: 'module' });
+    seasonWorker = worker;
+    worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+            container.innerHTML = `<p class="loading">Simulating the season... ${Math.round(msg.done / msg.total * 100)}%</p>`;
+            return;
+        }
+
+        worker.terminate();
+        if (seasonWorker === worker) seasonWorker = null;
+        if (input !== outlookInput) return;
+        outlookResult = msg.result;
+        renderSeasonOutlook(container, outlookResult);
+    };
+    worker.onerror = (e) => {
+        console.error('Season worker failed:', e);
+        container.innerHTML = '<p class="loading">Season simulation failed</p>';
+        if (seasonWorker === worker) seasonWorker = null;
+    };
+
+    worker.postMessage({ cards, resolveTimes, defaultTime, runs: SEASON_RUNS });
+}
+
+/**
+ * When each market resolves, roughly: resolved markets at their resolution
+ * time, open ones at their close_time from markets.json (or the live
+ * market's close time for markets outside the pool), never before now
+ * @returns {Object} {resolveTimes: Map of market key -> ms, defaultTime: latest close time (for markets with none)}
+ */
+async function getResolveTimes(markets) {
+    let pool = null;
+    try {
+        pool = await fetchJson(DATA_PATH + MARKETS_FILE);
+    } catch (error) {
+        console.error('Failed to load markets.json:', error);
+    }
+    const closeTimes = new Map((pool?.markets || []).map(m => [m.slug, m.close_time]));
+
+    const now = Date.now();
+    const resolveTimes = new Map();
+    for (const market of markets) {
+        if (market.isResolved) {
+            resolveTimes.set(market.key, market.resolutionTime ?? now);
+            continue;
+        }
+        const close = closeTimes.get(market.slug) ?? market.liveData?.closeTime;
+        if (close != null) resolveTimes.set(market.key, Math.max(close, now));
+    }
+
+    const defaultTime = Math.max(now, ...closeTimes.values());
+    return { resolveTimes, defaultTime };
+}
+
+/**
+ * Winner count chart, expected first bingo and the who-wins-first table
+ */
+function renderSeasonOutlook(container, result) {
+    const pct = (p) => `${(p * 100).toFixed(1)}%`;
+    const shown = result.winnerCounts
+        .map((prob, count) => ({ count, prob }))
+        .filter(bar => bar.prob >= OUTLOOK_MIN_BAR);
+    const tallest = Math.max(...shown.map(bar => bar.prob));
+
+    const bars = shown.map(bar => `
+        <div class="outlook-bar" title="${bar.count} winner${bar.count !== 1 ? 's' : ''}: ${pct(bar.prob)}">
+            <div class="outlook-bar-fill" style="height: ${(bar.prob / tallest * 100).toFixed(1)}%"></div>
+            <span class="outlook-bar-label">${bar.count}</span>
+        </div>
+    `).join('');
+
+    const first = result.firstBingo;
+    const firstText = first ? formatDate(first.median) : 'No bingo';
+    const rangeText = first
+        ? ` In 80% of seasons the first bingo comes between ${formatDate(first.p10)} and ${formatDate(first.p90)}.`
+        : '';
+
+    const rows = result.cards.slice(0, OUTLOOK_CARD_LIMIT).map((card, i) => `
+        <tr>
+            <td class="num">${i + 1}</td>
+            <td><a href="card.html?id=${card.card_id}">${card.card_id}</a>
+                <a href="${playerUrl(card.user_handle)}" class="kingmaker-handle">@${card.user_handle}</a></td>
+            <td class="num">${pct(card.firstProb)}</td>
+            <td class="num">${pct(card.winProb)}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <section class="stats outlook-stats">
+            <div class="stat-card">
+                <div class="stat-value">${result.expectedWinners.toFixed(1)}</div>
+                <div class="stat-label">Expected Winners</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${pct(result.noWinnerProb)}</div>
+                <div class="stat-label">No Bingo All Season</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${firstText}</div>
+                <div class="stat-label" title="Median over seasons with a bingo: half see their first one by this date">Median First Bingo</div>
+            </div>
+        </section>
+
+        <div class="card-info">
+            <h3>Number of Winning Cards</h3>
+            <div class="outlook-chart">${bars}</div>
+        </div>
+
+        <div class="card-info">
+            <h3>Who Bingos First</h3>
+            <table class="kingmaker-cards">
+                <tr><th class="num">#</th><th>Card</th><th class="num">First</th><th class="num">Wins at all</th></tr>
+                ${rows}
+            </table>
+        </div>
+
+        <p class="kingmaker-summary">
+            ${result.runs.toLocaleString()} simulated seasons. Shared markets are drawn once per season, and each
+            market resolves at its close date (a rough stand-in for when it actually resolves), so cards
+            completing a line on the same date share first place.${rangeText}
+        </p>
+    `;
+}
+
 // ============================================================================
 // LIVE PRICE FUNCTIONS
 // ============================================================================
 
 /**
  * Fetch live prices for all markets on the card
- * Supports both binary markets and multi-choice market answers
+ * Supports both binary markets and multi-choice market answers.
+ * Cached snapshots (if any) are shown first, marked with their age.
  */
 async function fetchLivePrices(card) {
     const loadingEl = document.getElementById('live-status');
@@ -1433,56 +2802,35 @@ async function fetchLivePrices(card) {
         loadingEl.className = 'live-status loading';
     }
 
-    try {
-        // Fetch all 25 markets in parallel
-        // Note: We don't use ?lite=true because multi-choice markets need the
-        // full response to get the answers array with per-answer probabilities
-        const promises = card.grid.map(cell =>
-            fetch(`${MANIFOLD_API}/slug/${cell.slug}`)
-                .then(r => r.ok ? r.json() : null)
-                .catch(() => null)
-        );
-
-        const results = await Promise.all(promises);
-
-        // Update cells with live data and store contract IDs
-        const liveProbs = [];
-        results.forEach((market, i) => {
-            const cell = card.grid[i];
-            if (market) {
-                let liveProb;
-
-                // Check if this is a multi-choice answer (has answer_id)
-                if (cell.answer_id && market.answers) {
-                    // Multi-choice: find the specific answer's probability
-                    const answer = market.answers.find(a => a.id === cell.answer_id);
-                    // Answer uses 'prob', not 'probability'
-                    liveProb = answer?.prob ?? answer?.probability ?? cell.prob;
-                } else {
-                    // Binary market: use market-level probability
-                    liveProb = market.probability || market.prob || cell.prob;
-                }
-
-                liveProbs.push(liveProb);
-                updateCellWithLivePrice(i, cell.prob, liveProb);
+    // Note: We don't use ?lite=true because multi-choice markets need the
+    // full response to get the answers array with per-answer probabilities
+    const paths = card.grid.map(cell => `/slug/${cell.slug}`);
 
-                // Store contract ID for sparkline use
-                cell.contract_id = market.id;
-            } else {
-                liveProbs.push(cell.prob);
+    try {
+        // Render from the persistent cache while live prices load
+        const cached = await cacheGetMany(SNAPSHOT_STORE, paths);
+        if (cached.size > 0) {
+            applyLiveMarkets(card, paths.map(path => cached.get(path)?.value ?? null));
+
+            const oldest = Math.min(...[...cached.values()].map(r => r.savedAt));
+            if (loadingEl) {
+                loadingEl.textContent = `Cached prices from ${formatTimeAgo((Date.now() - oldest) / (1000 * 60 * 60))}, refreshing...`;
             }
-        });
+        }
 
-        // Recalculate and display live win probability
-        const liveWinProb = approximateWinProb(liveProbs);
-        updateWinProbability(card.win_probability, liveWinProb);
+        // Fetch all 25 markets in parallel (falling back to cached snapshots)
+        const results = await Promise.all(paths.map(path =>
+            fetchMarketSnapshot(path).catch(() => cached.get(path)?.value ?? null)
+        ));
 
-        // Update line probabilities with live prices
-        updateLineProbs(liveProbs);
+        const liveWinProb = applyLiveMarkets(card, results);
 
         // Set up sparkline handlers now that we have contract IDs
         setupSparklineHandlers();
 
+        // Reconstruct win probability history (async, after live render)
+        loadWinProbHistory(card, liveWinProb);
+
         if (loadingEl) {
             loadingEl.textContent = 'Live prices loaded (click cells for price history)';
             loadingEl.className = 'live-status success';
@@ -1497,6 +2845,187 @@ async function fetchLivePrices(card) {
     }
 }
 
+/**
+ * Update cells, lines and win probability from market data
+ * @param {Object} card - Card being displayed
+ * @param {Array} results - Market object per cell (null if unavailable)
+ * @returns {number} Live win probability
+ */
+function applyLiveMarkets(card, results) {
+    const policy = getVoidPolicy(card.season);
+
+    // Update cells with live data and store contract IDs
+    const liveProbs = [];
+    results.forEach((market, i) => {
+        const cell = card.grid[i];
+        if (market) {
+            const liveProb = getCellMarketProb(cell, market) ?? cell.prob;
+
+            // Resolutions come from the market; the stored one is kept to spot disagreements
+            if (i !== FREE_SPACE_INDEX) {
+                if (cell.stored_resolution === undefined) cell.stored_resolution = describeCellResolution(cell);
+                Object.assign(cell, resolutionFields(getCellResolution(cell, market)));
+                updateCellResolution(i, cell);
+            }
+
+            liveProbs.push(getLiveCellProb(cell, liveProb, policy));
+            updateCellWithLivePrice(i, cell.prob, liveProb);
+
+            // Store contract ID for sparkline use
+            cell.contract_id = market.id;
+
+            // Store resolution for the win probability history
+            const resolution = i === FREE_SPACE_INDEX ? null : describeCellResolution(cell);
+            cell.live_resolution = resolution
+                ? { resolution, time: market.resolutionTime }
+                : null;
+        } else {
+            liveProbs.push(getLiveCellProb(cell, cell.prob, policy));
+        }
+    });
+
+    // Free space always counts as filled
+    liveProbs[FREE_SPACE_INDEX] = 1.0;
+    currentProbs = liveProbs;
+
+    // Line statuses and the card status follow the live resolutions
+    renderInlineLineProbs(card.grid);
+    updateCardStatus(card);
+
+    // Recalculate and display live win probability
+    const liveWinProb = exactWinProb(liveProbs);
+    updateWinProbability(card.win_probability, liveWinProb);
+    updateWinProbComparison();
+
+    // Update line probabilities with live prices
+    updateLineProbs(liveProbs);
+
+    // Re-apply any what-if scenario on top of the live prices
+    if (sandboxScenario.size > 0) refreshSandboxView();
+    renderLeverageOverlay();
+
+    return liveWinProb;
+}
+
+/**
+ * Show a cell's live resolution (100%/0%, or N/A / MKT with its void policy),
+ * flagging it when the stored card disagrees
+ */
+function updateCellResolution(index, cell) {
+    const cellEl = document.querySelector(`.bingo-cell[data-index="${index}"]`);
+    if (!cellEl) return;
+
+    const policy = getVoidPolicy(currentCard?.season);
+    const voidAction = getVoidAction(cell, policy);
+
+    cellEl.classList.remove('yes', 'no', 'void', ...VOID_POLICIES.map(action => `void-${action}`));
+    cellEl.classList.add(...getCellStateClass(cell, policy).split(' ').filter(Boolean));
+
+    if (describeCellResolution(cell)) {
+        const probEl = cellEl.querySelector('.prob');
+        const deltaEl = cellEl.querySelector('.delta');
+        probEl.textContent = voidAction ? VOID_RESOLUTION_LABELS[cell.resolution] : cell.resolved ? '100%' : '0%';
+        deltaEl.textContent = voidAction ? VOID_ACTION_LABELS[voidAction].short : '';
+        deltaEl.className = 'delta';
+        cellEl.classList.remove('hot-up', 'hot-down');
+    }
+
+    cellEl.classList.toggle('resolution-mismatch', isResolutionMismatch(cell));
+    cellEl.title = getCellTitle(cell, policy);
+}
+
+/**
+ * Whether a cell's live resolution differs from the one in the card file
+ */
+function isResolutionMismatch(cell) {
+    return cell.stored_resolution !== undefined && describeCellResolution(cell) !== cell.stored_resolution;
+}
+
+/**
+ * Tooltip for a cell: the question, how a voided cell counts, and any
+ * disagreement with the card file
+ */
+function getCellTitle(cell, policy) {
+    let title = cell.question || 'Unknown';
+
+    const voidAction = getVoidAction(cell, policy);
+    if (voidAction) {
+        title += `\n(Resolved ${VOID_RESOLUTION_LABELS[cell.resolution]}: ${VOID_ACTION_LABELS[voidAction].long})`;
+    }
+    if (isResolutionMismatch(cell)) {
+        title += `\n(Stored as ${resolutionLabel(cell.stored_resolution)}, market is ${resolutionLabel(describeCellResolution(cell))})`;
+    }
+    return title;
+}
+
+function resolutionLabel(resolution) {
+    return VOID_RESOLUTION_LABELS[resolution] ?? resolution ?? 'open';
+}
+
+/**
+ * Probability a cell contributes live: 1/0 once it counts as resolved,
+ * its stored price while awaiting a replacement, else its market price
+ */
+function getLiveCellProb(cell, marketProb, policy) {
+    const resolved = getCellResolved(cell, policy);
+    if (resolved !== null) return resolved ? 1.0 : 0.0;
+    if (getVoidAction(cell, policy)) return cell.prob;
+    return marketProb;
+}
+
+/**
+ * CSS classes for a cell's resolution: yes/no, or void plus the policy action
+ * for N/A and MKT cells (shown apart from YES/NO whichever way they count)
+ */
+function getCellStateClass(cell, policy) {
+    const voidAction = getVoidAction(cell, policy);
+    if (voidAction) return ` void void-${voidAction}`;
+    if (cell.resolved === true) return ' yes';
+    if (cell.resolved === false) return ' no';
+    return '';
+}
+
+/**
+ * Show the card status derived from its cells, with the BINGO! / no path
+ * left banner, flagging a stored status that disagrees
+ */
+function updateCardStatus(card) {
+    const policy = getVoidPolicy(card.season);
+    const liveStatus = deriveCardStatus(card.grid, policy);
+    const mismatch = isStatusMismatch(card.status, liveStatus);
+    const shownStatus = mismatch ? liveStatus : card.status;
+
+    const statusEl = document.getElementById('card-status');
+    if (statusEl) {
+        statusEl.textContent = getStatusText(shownStatus);
+        statusEl.className = `status-badge ${getStatusClass(shownStatus)}`;
+    }
+
+    const flagEl = document.getElementById('status-flag');
+    if (flagEl) {
+        flagEl.style.display = mismatch ? '' : 'none';
+        flagEl.textContent = mismatch ? `Stored as ${getStatusText(card.status)}` : '';
+        flagEl.title = mismatch ? 'The card file has not caught up with the market resolutions' : '';
+    }
+
+    const banner = document.getElementById('result-banner');
+    if (!banner) return;
+
+    if (liveStatus === 'resolved_yes') {
+        const complete = LINES.filter(line => getLineStats(line, card.grid, policy).status === 'complete');
+        banner.className = 'result-banner bingo';
+        banner.innerHTML = `<strong>BINGO!</strong> ${complete.map(line => line.name).join(', ')} complete`;
+        banner.style.display = '';
+    } else if (liveStatus === 'resolved_no') {
+        banner.className = 'result-banner dead';
+        banner.innerHTML = '<strong>No path left</strong> &middot; every line has a NO';
+        banner.style.display = '';
+    } else {
+        banner.style.display = 'none';
+        banner.innerHTML = '';
+    }
+}
+
 /**
  * Update a single cell with live price data
  */
@@ -1504,14 +3033,24 @@ function updateCellWithLivePrice(index, storedProb, liveProb) {
     const cell = document.querySelector(`.bingo-cell[data-index="${index}"]`);
     if (!cell) return;
 
-    // Don't update resolved cells - they should stay at 100%/0%
-    if (cell.classList.contains('yes') || cell.classList.contains('no')) {
+    // Don't update resolved cells - they should stay at 100%/0% (or N/A / MKT)
+    if (cell.classList.contains('yes') || cell.classList.contains('no') || cell.classList.contains('void')) {
+        return;
+    }
+
+    // Hypothetical resolutions (what-if sandbox) also stay at 100%/0%
+    if (cell.classList.contains('hypo-yes') || cell.classList.contains('hypo-no')) {
         return;
     }
 
     const probEl = cell.querySelector('.prob');
     const deltaEl = cell.querySelector('.delta');
 
+    // Clear the previous update (cells can update more than once)
+    deltaEl.textContent = '';
+    deltaEl.className = 'delta';
+    cell.classList.remove('hot-up', 'hot-down');
+
     const storedPct = storedProb * 100;
     const livePct = liveProb * 100;
     const deltaPct = livePct - storedPct;
@@ -1557,24 +3096,571 @@ function updateWinProbability(storedProb, liveProb) {
 }
 
 /**
- * Approximate win probability using line independence assumption
- * P(win) = 1 - P(all 12 lines fail)
- * P(line fails) = 1 - P(all 5 cells resolve YES)
+ * Show exact vs approximate win probability side by side (when enabled)
+ */
+function updateWinProbComparison() {
+    const compareEl = document.getElementById('win-prob-compare');
+    if (!compareEl) return;
+
+    if (!getPrefs().showApprox || !currentProbs) {
+        compareEl.textContent = '';
+        return;
+    }
+
+    const probs = getEffectiveProbs();
+    const exact = exactWinProb(probs) * 100;
+    const approx = approximateWinProb(probs) * 100;
+    const gap = approx - exact;
+    const sign = gap >= 0 ? '+' : '';
+
+    compareEl.textContent =
+        `Exact ${exact.toFixed(1)}% vs approx ${approx.toFixed(1)}% (${sign}${gap.toFixed(1)} pts)`;
+}
+
+// ============================================================================
+// LIVE MODE FUNCTIONS
+// ============================================================================
+
+// Interval for the polling fallback on the index page (hundreds of markets)
+const FEED_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+// Running live feed (card page or activity feed)
+let liveFeed = null;
+
+/**
+ * Socket URL for live mode (?ws= overrides it, e.g. for a local mock server)
+ */
+function getLiveSocketUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('ws') || LIVE_WS_URL;
+}
+
+/**
+ * Restart a CSS flash animation on an element
+ */
+function flashElement(el) {
+    if (!el) return;
+    el.classList.remove('flash');
+    void el.offsetWidth; // force reflow so the animation restarts
+    el.classList.add('flash');
+}
+
+/**
+ * Describe live feed status for display
+ */
+function liveStatusText(status, pollIntervalMs) {
+    switch (status) {
+        case 'connecting':
+            return 'Live: connecting...';
+        case 'streaming':
+            return 'Live: streaming updates';
+        case 'polling':
+            return `Live: socket unavailable, polling every ${Math.round(pollIntervalMs / 60000)}m`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Toggle live mode on the card page
+ */
+function toggleCardLiveMode() {
+    const btn = document.getElementById('live-toggle');
+    const statusEl = document.getElementById('live-status');
+
+    if (liveFeed) {
+        liveFeed.stop();
+        liveFeed = null;
+        if (btn) btn.textContent = 'Go Live';
+        return;
+    }
+
+    const card = currentCard;
+    if (!card || !card.grid.some(cell => cell.contract_id)) {
+        if (statusEl) statusEl.textContent = 'Waiting for live prices before going live...';
+        return;
+    }
+
+    const contractIds = [...new Set(card.grid
+        .filter((cell, i) => i !== FREE_SPACE_INDEX && cell.contract_id)
+        .map(cell => cell.contract_id))];
+
+    liveFeed = createLiveFeed({
+        contractIds,
+        transport: createWebSocketTransport(getLiveSocketUrl()),
+        onUpdate: (update) => applyCardLiveUpdate(card, update),
+        onStatus: (status) => {
+            if (!statusEl) return;
+            statusEl.textContent = liveStatusText(status, LIVE_POLL_INTERVAL_MS);
+            statusEl.className = `live-status ${status === 'streaming' ? 'success' : 'loading'}`;
+        },
+        poll: async () => {
+            const markets = await Promise.all(card.grid.map(cell =>
+                fetchMarketSnapshot(`/slug/${cell.slug}`).catch(() => null)
+            ));
+            return markets.flatMap(updatesFromMarket);
+        }
+    });
+
+    if (btn) btn.textContent = 'Stop Live';
+}
+
+/**
+ * Push one live update through the card's cells, lines and win probability
+ */
+function applyCardLiveUpdate(card, update) {
+    if (!currentProbs) return;
+
+    const policy = getVoidPolicy(card.season);
+    let changed = false;
+    card.grid.forEach((cell, i) => {
+        if (i === FREE_SPACE_INDEX || cell.contract_id !== update.contractId) return;
+
+        // Resolved cells (YES, NO, N/A or MKT) are settled whatever the market trades at
+        // (the polling fallback still reports their last price)
+        if (describeCellResolution(cell)) return;
+
+        // Multi-choice cells follow their answer; binary cells the market
+        const matches = cell.answer_id ? update.answerId === cell.answer_id : !update.answerId;
+        const prob = getLiveCellProb(cell, update.prob, policy);
+        if (!matches || prob === currentProbs[i]) return;
+
+        currentProbs[i] = prob;
+        updateCellWithLivePrice(i, cell.prob, prob);
+        flashElement(document.querySelector(`.bingo-cell[data-index="${i}"]`));
+        changed = true;
+    });
+
+    if (!changed) return;
+
+    updateLineProbs(currentProbs);
+    updateWinProbability(card.win_probability, exactWinProb(currentProbs));
+    flashElement(document.getElementById('win-prob-value'));
+    updateWinProbComparison();
+
+    if (sandboxScenario.size > 0) refreshSandboxView();
+    renderLeverageOverlay();
+}
+
+/**
+ * Toggle live mode for the activity feed
+ */
+function toggleFeedLiveMode() {
+    const btn = document.getElementById('feed-live-toggle');
+    const statusEl = document.getElementById('feed-live-status');
+
+    if (liveFeed) {
+        liveFeed.stop();
+        liveFeed = null;
+        if (btn) btn.textContent = 'Live Updates';
+        return;
+    }
+
+    const contractIds = [...new Set(activityMarkets.map(m => m.contractId).filter(Boolean))];
+    if (contractIds.length === 0) {
+        if (statusEl) statusEl.textContent = 'Waiting for market data...';
+        return;
+    }
+
+    liveFeed = createLiveFeed({
+        contractIds,
+        transport: createWebSocketTransport(getLiveSocketUrl()),
+        pollIntervalMs: FEED_POLL_INTERVAL_MS,
+        onUpdate: applyFeedLiveUpdate,
+        onStatus: (status) => {
+            if (statusEl) statusEl.textContent = liveStatusText(status, FEED_POLL_INTERVAL_MS);
+        },
+        poll: async () => {
+            const paths = [...new Set(activityMarkets.map(getSnapshotPath))];
+            const markets = await Promise.all(paths.map(path =>
+                fetchMarketSnapshot(path).catch(() => null)
+            ));
+            return markets.flatMap(updatesFromMarket);
+        }
+    });
+
+    if (btn) btn.textContent = 'Stop Live';
+}
+
+/**
+ * Push one live update into the matching activity row
+ */
+function applyFeedLiveUpdate(update) {
+    // Rows track the market-level probability, or one answer's for multi-choice cells
+    const market = activityMarkets.find(m =>
+        m.contractId === update.contractId && (m.answerId ?? null) === (update.answerId ?? null));
+    if (!market || market.isResolved || market.currentProb === update.prob) return;
+
+    market.currentProb = update.prob;
+    if (market.stats && market.stats.prob24hAgo !== null) {
+        market.stats.change24h = update.prob - market.stats.prob24hAgo;
+        market.stats.high24h = Math.max(market.stats.high24h ?? update.prob, update.prob);
+        market.stats.low24h = Math.min(market.stats.low24h ?? update.prob, update.prob);
+    }
+
+    const row = document.querySelector(`.activity-row[data-key="${market.key}"]`);
+    if (!row) return;
+
+    row.querySelector('.activity-prob').textContent = `${(update.prob * 100).toFixed(0)}%`;
+
+    const change = market.stats?.change24h;
+    const changeEl = row.querySelector('.activity-change');
+    if (changeEl && change != null) {
+        const sign = change >= 0 ? '+' : '';
+        changeEl.textContent = `${sign}${(change * 100).toFixed(1)}%`;
+        changeEl.className = `activity-change ${change > 0 ? 'positive' : change < 0 ? 'negative' : ''}`;
+    }
+
+    flashElement(row);
+}
+
+// ============================================================================
+// CELL LEVERAGE FUNCTIONS
+// ============================================================================
+
+/**
+ * Colour grid cells by leverage (or clear the overlay when disabled)
+ */
+function renderLeverageOverlay() {
+    if (!currentCard) return;
+
+    const enabled = !!getPrefs().showLeverage;
+    const gridEl = document.getElementById('bingo-grid');
+    if (gridEl) gridEl.classList.toggle('leverage', enabled);
+
+    // Hypothetical resolutions count as resolved here
+    const scenarioGrid = getScenarioGrid(currentCard.grid);
+    const leverage = enabled ? computeCellLeverage(getEffectiveProbs(), scenarioGrid) : [];
+    const maxSpread = Math.max(0, ...leverage.map(l => l?.spread ?? 0));
+
+    currentCard.grid.forEach((cell, i) => {
+        const cellEl = document.querySelector(`.bingo-cell[data-index="${i}"]`);
+        if (!cellEl) return;
+
+        const fullText = getCellTitle(cell, getVoidPolicy(currentCard.season));
+        const l = leverage[i];
+
+        if (!l) {
+            cellEl.style.backgroundColor = '';
+            cellEl.title = fullText;
+            return;
+        }
+
+        const alpha = maxSpread > 0 ? (l.spread / maxSpread) * 0.6 : 0;
+        cellEl.style.backgroundColor = `rgba(255, 107, 138, ${alpha.toFixed(2)})`;
+        cellEl.title = `${fullText}\n` +
+            `If YES: ${(l.ifYes * 100).toFixed(1)}% | If NO: ${(l.ifNo * 100).toFixed(1)}% ` +
+            `(spread ${(l.spread * 100).toFixed(1)} pts)`;
+    });
+}
+
+/**
+ * Toggle the per-cell leverage heatmap
+ */
+function toggleLeverageDisplay() {
+    const prefs = getPrefs();
+    const newValue = !prefs.showLeverage;
+    setPref('showLeverage', newValue);
+
+    const btn = document.getElementById('leverage-toggle');
+    if (btn) {
+        btn.textContent = newValue ? 'Hide Leverage' : 'Leverage';
+    }
+
+    renderLeverageOverlay();
+}
+
+// ============================================================================
+// WHAT-IF SANDBOX FUNCTIONS
+// ============================================================================
+
+// URL parameter holding a shared scenario, e.g. ?id=...&whatif=3y,17n
+const SCENARIO_PARAM = 'whatif';
+
+// Whether cell clicks cycle hypothetical resolutions
+let sandboxMode = false;
+
+// Hypothetical resolutions: Map of cell index -> true (YES) / false (NO)
+const sandboxScenario = new Map();
+
+/**
+ * Get the grid with hypothetical resolutions and current probabilities applied
+ */
+function getScenarioGrid(grid) {
+    return grid.map((cell, i) => ({
+        ...cell,
+        prob: currentProbs ? currentProbs[i] : cell.prob,
+        resolved: sandboxScenario.has(i) ? sandboxScenario.get(i) : cell.resolved
+    }));
+}
+
+/**
+ * Get the cell probabilities the card page should compute from
+ * (the hypothetical grid while a scenario is active)
+ */
+function getEffectiveProbs() {
+    if (!currentCard || sandboxScenario.size === 0) return currentProbs;
+    return getGridProbs(getScenarioGrid(currentCard.grid), getVoidPolicy(currentCard.season));
+}
+
+/**
+ * Set up the sandbox toggle and cell click interception
+ */
+function setupSandboxControls() {
+    const btn = document.getElementById('sandbox-toggle');
+    if (btn) {
+        btn.addEventListener('click', () => setSandboxMode(!sandboxMode));
+    }
+
+    // Capture clicks on the grid container so sandbox mode takes priority
+    // over market links and sparkline popups (survives grid re-renders)
+    const gridEl = document.getElementById('bingo-grid');
+    if (gridEl) {
+        gridEl.addEventListener('click', (e) => {
+            if (!sandboxMode) return;
+
+            const cell = e.target.closest('.bingo-cell');
+            if (!cell) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            cycleScenarioCell(parseInt(cell.dataset.index));
+        }, true);
+    }
+
+    // Load a shared scenario from the URL
+    const params = new URLSearchParams(window.location.search);
+    const scenario = decodeScenario(params.get(SCENARIO_PARAM), currentCard.grid);
+    if (scenario.size > 0) {
+        scenario.forEach((yes, index) => sandboxScenario.set(index, yes));
+        setSandboxMode(true);
+    }
+}
+
+/**
+ * Enter or leave sandbox mode (leaving clears the scenario)
+ */
+function setSandboxMode(enabled) {
+    sandboxMode = enabled;
+    if (!enabled) sandboxScenario.clear();
+
+    const btn = document.getElementById('sandbox-toggle');
+    if (btn) btn.textContent = enabled ? 'Exit What-If' : 'What-If';
+
+    const gridEl = document.getElementById('bingo-grid');
+    if (gridEl) gridEl.classList.toggle('sandbox', enabled);
+
+    refreshSandboxView();
+}
+
+/**
+ * Cycle a cell through live -> hypothetical YES -> hypothetical NO -> live
  */
-function approximateWinProb(probs) {
-    let probAllLinesFail = 1;
+function cycleScenarioCell(index) {
+    if (!currentCard || index === FREE_SPACE_INDEX) return;
+
+    const cell = currentCard.grid[index];
+    if (!cell || describeCellResolution(cell)) return;
+
+    if (!sandboxScenario.has(index)) {
+        sandboxScenario.set(index, true);
+    } else if (sandboxScenario.get(index)) {
+        sandboxScenario.set(index, false);
+    } else {
+        sandboxScenario.delete(index);
+    }
+
+    refreshSandboxView();
+}
 
-    for (const line of LINES) {
-        // P(this line completes) = product of all 5 cell probs
-        let lineProb = 1;
-        for (const idx of line.indices) {
-            lineProb *= probs[idx];
+/**
+ * Recompute cells, line probabilities and headline win probability
+ * from the hypothetical grid, and sync the banner and URL
+ */
+function refreshSandboxView() {
+    const card = currentCard;
+    if (!card) return;
+
+    // Cell states
+    card.grid.forEach((cell, i) => {
+        const cellEl = document.querySelector(`.bingo-cell[data-index="${i}"]`);
+        if (!cellEl || i === FREE_SPACE_INDEX) return;
+
+        const wasHypothetical = cellEl.classList.contains('hypo-yes') || cellEl.classList.contains('hypo-no');
+        cellEl.classList.remove('hypo-yes', 'hypo-no');
+
+        if (sandboxScenario.has(i)) {
+            const yes = sandboxScenario.get(i);
+            cellEl.classList.add(yes ? 'hypo-yes' : 'hypo-no');
+            cellEl.querySelector('.prob').textContent = yes ? '100%' : '0%';
+            cellEl.querySelector('.delta').textContent = '';
+        } else if (wasHypothetical) {
+            updateCellWithLivePrice(i, cell.prob, currentProbs ? currentProbs[i] : cell.prob);
         }
-        // P(this line fails) = 1 - P(line completes)
-        probAllLinesFail *= (1 - lineProb);
+    });
+
+    // Line probabilities (statuses change when hypothetical cells complete or block lines)
+    const scenarioGrid = getScenarioGrid(card.grid);
+    renderInlineLineProbs(scenarioGrid);
+    updateLineProbs(getGridProbs(scenarioGrid, getVoidPolicy(card.season)));
+
+    // Headline win probability (stored value until live prices arrive)
+    const isLive = card.grid.some(cell => cell.contract_id);
+    const liveWinProb = isLive ? exactWinProb(currentProbs) : card.win_probability;
+    const scenarioWinProb = exactWinProb(getEffectiveProbs());
+    if (sandboxScenario.size > 0 || isLive) {
+        updateWinProbability(card.win_probability, scenarioWinProb);
+    } else {
+        const valueEl = document.getElementById('win-prob-value');
+        const noteEl = document.getElementById('win-prob-note');
+        if (valueEl) valueEl.textContent = `${(card.win_probability * 100).toFixed(1)}%`;
+        if (noteEl) noteEl.textContent = '(at creation)';
+    }
+    updateWinProbComparison();
+
+    renderSandboxBanner(liveWinProb, scenarioWinProb);
+    renderLeverageOverlay();
+    updateScenarioUrl();
+}
+
+/**
+ * Render the sandbox banner with the live vs hypothetical win probability
+ */
+function renderSandboxBanner(liveWinProb, scenarioWinProb) {
+    const banner = document.getElementById('sandbox-banner');
+    if (!banner) return;
+
+    if (!sandboxMode) {
+        banner.style.display = 'none';
+        banner.innerHTML = '';
+        return;
+    }
+
+    const count = sandboxScenario.size;
+    const summary = count === 0
+        ? 'Click cells to cycle live &rarr; YES &rarr; NO'
+        : `${count} hypothetical resolution${count !== 1 ? 's' : ''}: ` +
+          `${(liveWinProb * 100).toFixed(1)}% &rarr; <strong>${(scenarioWinProb * 100).toFixed(1)}%</strong>`;
+
+    banner.style.display = '';
+    banner.innerHTML = `
+        <span class="sandbox-label">What-if sandbox</span>
+        <span class="sandbox-summary">${summary}</span>
+        <button id="sandbox-reset" class="control-btn">Reset</button>
+    `;
+
+    document.getElementById('sandbox-reset').addEventListener('click', () => {
+        sandboxScenario.clear();
+        refreshSandboxView();
+    });
+}
+
+/**
+ * Keep the scenario in the URL so it can be shared
+ */
+function updateScenarioUrl() {
+    const url = new URL(window.location.href);
+    if (sandboxScenario.size > 0) {
+        url.searchParams.set(SCENARIO_PARAM, encodeScenario(sandboxScenario));
+    } else {
+        url.searchParams.delete(SCENARIO_PARAM);
+    }
+    history.replaceState(null, '', url);
+}
+
+// ============================================================================
+// CORRELATED SIMULATION FUNCTIONS
+// ============================================================================
+
+const SIMULATION_WORKER = 'simulation-worker.js';
+const SIMULATION_ITERATIONS = 100000;
+
+// Worker for the running simulation (one at a time) and the latest run's number
+let simulationWorker = null;
+let simulationRun = 0;
+
+/**
+ * Run the correlated Monte Carlo model for a card in a Web Worker
+ * Correlations come from the bet timelines fetched by fetchBetHistory.
+ */
+async function runCorrelatedSimulation(card) {
+    const resultEl = document.getElementById('sim-result');
+    if (!resultEl || !currentProbs) return;
+
+    if (typeof Worker === 'undefined') {
+        resultEl.textContent = 'Simulation needs Web Worker support';
+        return;
+    }
+
+    if (!card.grid.some(cell => cell.contract_id)) {
+        resultEl.textContent = 'Waiting for live prices before simulating...';
+        return;
     }
 
-    return 1 - probAllLinesFail;
+    const run = ++simulationRun;
+    resultEl.textContent = 'Fetching price histories...';
+
+    const timelines = await Promise.all(card.grid.map((cell, i) => {
+        if (i === FREE_SPACE_INDEX || !cell.contract_id) return null;
+        return fetchBetHistory(cell.contract_id, card.created_time, cell.answer_id);
+    }));
+    if (run !== simulationRun) return; // A newer run started while fetching
+
+    const probs = [...getEffectiveProbs()];
+    const independentProb = exactWinProb(probs);
+
+    if (simulationWorker) simulationWorker.terminate();
+    const worker = new Worker(SIMULATION_WORKER);
+    simulationWorker = worker;
+    worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+            const pct = Math.round(msg.done / msg.total * 100);
+            resultEl.textContent = `Simulating... ${pct}%`;
+            return;
+        }
+
+        worker.terminate();
+        if (simulationWorker === worker) simulationWorker = null;
+        renderSimulationResult(resultEl, msg, independentProb, card);
+    };
+    worker.onerror = (e) => {
+        console.error('Simulation worker failed:', e);
+        resultEl.textContent = 'Simulation failed';
+        if (simulationWorker === worker) simulationWorker = null;
+    };
+
+    worker.postMessage({
+        probs,
+        timelines,
+        lines: LINES.map(line => line.indices),
+        iterations: SIMULATION_ITERATIONS
+    });
+}
+
+/**
+ * Render correlated vs independent win probability
+ */
+function renderSimulationResult(resultEl, result, independentProb, card) {
+    const pct = (p) => `${(p * 100).toFixed(1)}%`;
+    const gap = (result.winProb - independentProb) * 100;
+    const sign = gap >= 0 ? '+' : '';
+
+    const pairs = result.topPairs.map(pair => {
+        const a = truncate(card.grid[pair.a].question || '?', 30);
+        const b = truncate(card.grid[pair.b].question || '?', 30);
+        return `<li title="${card.grid[pair.a].question} / ${card.grid[pair.b].question}">${a} &harr; ${b}: ${pair.rho.toFixed(2)}</li>`;
+    }).join('');
+
+    resultEl.innerHTML = `
+        <div class="sim-summary">
+            <span class="prob-label">Correlated:</span>
+            <span class="sim-value">${pct(result.winProb)}</span>
+            <span class="prob-note">(95% CI ${pct(result.ciLow)}&ndash;${pct(result.ciHigh)})</span>
+            <span class="prob-note">vs independent ${pct(independentProb)} (${sign}${gap.toFixed(1)} pts)</span>
+        </div>
+        ${pairs ? `<ul class="sim-pairs">${pairs}</ul>` : ''}
+    `;
 }
 
 // ============================================================================
@@ -1627,21 +3713,105 @@ function toggleTitleDisplay() {
 
         // Re-setup sparkline handlers
         setupSparklineHandlers();
+
+        // Restore hypothetical cell states and overlays
+        if (sandboxScenario.size > 0) refreshSandboxView();
+        renderLeverageOverlay();
+    }
+}
+
+/**
+ * Toggle the exact vs approximate win probability comparison
+ */
+function toggleApproxDisplay() {
+    const prefs = getPrefs();
+    const newValue = !prefs.showApprox;
+    setPref('showApprox', newValue);
+
+    const btn = document.getElementById('approx-toggle');
+    if (btn) {
+        btn.textContent = newValue ? 'Hide Approx' : 'Exact vs Approx';
     }
+
+    updateWinProbComparison();
 }
 
 /**
  * Set up display toggle controls
  */
 function setupDisplayControls() {
+    const prefs = getPrefs();
+
     const btn = document.getElementById('title-toggle');
     if (btn) {
-        const prefs = getPrefs();
         btn.textContent = prefs.fullTitles ? 'Short Titles' : 'Full Titles';
         btn.addEventListener('click', toggleTitleDisplay);
     }
+
+    const approxBtn = document.getElementById('approx-toggle');
+    if (approxBtn) {
+        approxBtn.textContent = prefs.showApprox ? 'Hide Approx' : 'Exact vs Approx';
+        approxBtn.addEventListener('click', toggleApproxDisplay);
+    }
+
+    const leverageBtn = document.getElementById('leverage-toggle');
+    if (leverageBtn) {
+        leverageBtn.textContent = prefs.showLeverage ? 'Hide Leverage' : 'Leverage';
+        leverageBtn.addEventListener('click', toggleLeverageDisplay);
+    }
+
+    const liveBtn = document.getElementById('live-toggle');
+    if (liveBtn) {
+        liveBtn.addEventListener('click', toggleCardLiveMode);
+    }
+
+    const simBtn = document.getElementById('sim-toggle');
+    if (simBtn) {
+        simBtn.addEventListener('click', () => {
+            if (currentCard) runCorrelatedSimulation(currentCard);
+        });
+    }
+}
+
+// ============================================================================
+// API ERROR NOTICE
+// ============================================================================
+
+/**
+ * Show a summary of failed Manifold requests (so stale data isn't silent)
+ */
+function renderApiErrorNotice() {
+    const notice = document.getElementById('api-errors');
+    if (!notice) return;
+
+    const errors = getRecentApiErrors();
+    if (errors.length === 0) {
+        notice.style.display = 'none';
+        return;
+    }
+
+    // Group by cause: HTTP status, or network error
+    const counts = {};
+    errors.forEach(e => {
+        const cause = e.status === 429 ? 'rate limited'
+            : e.status ? `HTTP ${e.status}` : 'network error';
+        counts[cause] = (counts[cause] || 0) + 1;
+    });
+    const causes = Object.entries(counts).map(([cause, n]) => `${cause} &times;${n}`).join(', ');
+
+    notice.style.display = '';
+    notice.innerHTML = `
+        &#x26A0; ${errors.length} request${errors.length !== 1 ? 's' : ''} failed after retries
+        (${causes}) &mdash; some data may be stale
+        <button class="api-errors-dismiss" title="Dismiss">&times;</button>
+    `;
+    notice.querySelector('.api-errors-dismiss').addEventListener('click', () => {
+        notice.style.display = 'none';
+    });
 }
 
+onApiError(renderApiErrorNotice);
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -1667,18 +3837,7 @@ function getStatusClass(status) {
  * Get display text for status
  */
 function getStatusText(status) {
-    switch (status) {
-        case 'pending_fill':
-            return 'Pending';
-        case 'active':
-            return 'Active';
-        case 'resolved_yes':
-            return 'Winner!';
-        case 'resolved_no':
-            return 'No Bingo';
-        default:
-            return status;
-    }
+    return CARD_STATUS_LABELS[status] ?? status;
 }
 
 /**
@@ -1708,6 +3867,14 @@ function smartTruncate(text, maxLength) {
     return text.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * positive/negative class for a signed value beyond a threshold
+ */
+function signClass(value, threshold = 0) {
+    if (value == null) return '';
+    return value > threshold ? 'positive' : value < -threshold ? 'negative' : '';
+}
+
 /**
  * Format timestamp to readable date
  */
@@ -1729,3 +3896,34 @@ function formatDate(timestamp) {
 if (document.getElementById('card-grid')) {
     loadCardsIndex();
 }
+
+// Load player from URL parameter (for player page)
+if (document.getElementById('player-cards')) {
+    const handle = new URLSearchParams(window.location.search).get('handle');
+    if (handle) {
+        loadPlayer(handle);
+    } else {
+        document.getElementById('player-title').textContent = 'No player specified';
+    }
+}
+
+// Load overlap explorer
+if (document.getElementById('overlap-graph')) {
+    loadOverlapExplorer();
+}
+
+// Load cards from URL parameters (for compare page)
+if (document.getElementById('compare-columns')) {
+    const params = new URLSearchParams(window.location.search);
+    loadComparison(params.get('a'), params.get('b'));
+}
+
+// Load card from URL parameter (for card page)
+if (document.getElementById('bingo-grid')) {
+    const cardId = new URLSearchParams(window.location.search).get('id');
+    if (cardId) {
+        loadCard(cardId);
+    } else {
+        document.getElementById('card-title').textContent = 'No card ID specified';
+    }
+}
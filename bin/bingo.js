@@ -0,0 +1,781 @@
+#!/usr/bin/env node
+/**
+ * Manifold Bingo 2026 - Command Line Tool
+ *
+ * Usage:
+ *   node bin/bingo.js card <id>          Grid, line odds and win probability
+ *   node bin/bingo.js leaderboard        Active cards ranked like the site's leaderboard
+ *   node bin/bingo.js market <slug>      Every card containing a market
+ *   node bin/bingo.js validate           Check card files and index.json before publishing
+ *   node bin/bingo.js index              Regenerate index.json from the card files
+ *   node bin/bingo.js markets            Refresh markets.json and markets.txt from Manifold search
+ *
+ * Options:
+ *   --offline          Use only the stored JSON in cards/ (no API requests)
+ *   --json             Print JSON instead of tables (for piping)
+ *   --sort <column>    Leaderboard column: prob, handle, market, edge, ev, pnl, purchase, stake, change, upside, downside
+ *   --asc              Sort ascending (default descending; handle defaults to ascending)
+ *   --verbose          Include informational notes in the validation report
+ *   --slim             Write summary fields only to index.json (grids load from the card files)
+ *   --check            Report index.json drift / pool changes without writing (index exits 1 on drift)
+ *   --api <url>        Manifold API base (default $MANIFOLD_API or the public API), e.g. a local fixture server
+ *
+ * Requires Node 18+ (global fetch; package.json marks the repo's .js files as ES
+ * modules). Built on bingo-core.js.
+ */
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import {
+    LINES,
+    FREE_SPACE_INDEX,
+    getGridProbs,
+    getLineStats,
+    exactWinProb,
+    computeCardStats,
+    getAnswerPrices,
+    getCellMarketProb,
+    getCellMarketState,
+    getCellResolution,
+    resolutionFields,
+    describeCellResolution,
+    getVoidPolicy,
+    getVoidAction,
+    VOID_RESOLUTION_LABELS,
+    VOID_ACTION_LABELS,
+    deriveCardStatus,
+    isStatusMismatch,
+    attachCardMarketPrices,
+    attachCardReturns,
+    formatMana,
+    sortCards,
+    betsToTimeline,
+    computeMarket24hStats,
+    collectUniqueMarkets,
+    isFeaturedCard
+} from '../bingo-core.js';
+import { validateCardSet, formatValidationReport } from '../card-validator.js';
+import { buildCardIndex, isSlimIndex, diffCardIndex, formatIndexDrift } from '../card-index.js';
+import {
+    refreshCriteria,
+    buildSearchQuery,
+    buildMarketsData,
+    formatMarketsTxt,
+    diffMarketPools,
+    formatMarketDiff
+} from '../market-pool.js';
+
+// The browser's API client (a classic script) hands itself over on globalThis
+import '../manifold-client.js';
+const { MANIFOLD_API: DEFAULT_MANIFOLD_API, ManifoldApiError, manifoldGet, setManifoldApiBase, pageBets } = globalThis.manifoldClient;
+
+// Configuration
+const CARDS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cards');
+const INDEX_FILE = 'index.json';
+const MARKETS_FILE = 'markets.json';
+const MARKETS_TXT_FILE = 'markets.txt';
+const EXCLUDED_MARKETS_FILE = 'markets-excluded.txt';
+const PARENT_MARKET_SLUG = 'manifold-bingo-2026-alpha';
+
+// Market search paging (the search API returns at most 1000 per page)
+const SEARCH_PAGE_SIZE = 1000;
+const SEARCH_MAX_PAGES = 50;
+
+const SORT_COLUMNS = ['prob', 'handle', 'market', 'edge', 'ev', 'pnl', 'purchase', 'stake', 'change', 'upside', 'downside'];
+
+const USAGE = `Usage: bingo <command> [options]
+
+Commands:
+  card <id>          Grid, line odds and win probability for a card
+  leaderboard        Active cards ranked by win probability
+  market <slug>      Every card containing a market
+  validate           Check card files and index.json (exits 1 on errors)
+  index              Regenerate index.json from the card files
+  markets            Refresh markets.json and markets.txt from Manifold search
+
+Options:
+  --offline          Use only the stored JSON (no API requests)
+  --json             Print JSON instead of tables
+  --sort <column>    Leaderboard column: ${SORT_COLUMNS.join(', ')}
+  --asc              Sort ascending
+  --verbose          Include informational notes when validating
+  --slim             Index summary fields only (grids load from the card files)
+  --check            Report index drift or pool changes without writing
+  --api <url>        Manifold API base (default $MANIFOLD_API or ${DEFAULT_MANIFOLD_API})
+  -h, --help         Show this help`;
+
+/**
+ * Error with a message meant for the user (printed without a stack trace)
+ */
+class CliError extends Error {}
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+/**
+ * Parse command-line arguments
+ * @returns {Object} {command, args, offline, json, verbose, slim, check, api, sort, direction, help}
+ */
+function parseArgs(argv) {
+    const options = { command: null, args: [], offline: false, json: false, verbose: false, slim: false, check: false, api: null, sort: 'prob', direction: null, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--offline':
+                options.offline = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--slim':
+                options.slim = true;
+                break;
+            case '--check':
+                options.check = true;
+                break;
+            case '--api':
+                options.api = argv[++i];
+                if (!/^https?:\/\//.test(options.api || '')) {
+                    throw new CliError(`--api needs an http(s) URL (got "${options.api ?? ''}")`);
+                }
+                break;
+            case '--asc':
+                options.direction = 'asc';
+                break;
+            case '--sort':
+                options.sort = argv[++i];
+                if (!SORT_COLUMNS.includes(options.sort)) {
+                    throw new CliError(`Unknown sort column "${options.sort}" (expected one of: ${SORT_COLUMNS.join(', ')})`);
+                }
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new CliError(`Unknown option ${arg}`);
+                if (!options.command) options.command = arg;
+                else options.args.push(arg);
+        }
+    }
+
+    if (!options.direction) {
+        options.direction = options.sort === 'handle' ? 'asc' : 'desc';
+    }
+    return options;
+}
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+async function readJson(file) {
+    return JSON.parse(await readFile(path.join(CARDS_DIR, file), 'utf8'));
+}
+
+/**
+ * Load the player cards from the index (featured cards are shown separately
+ * on the site), reading grids from the card files when the index is slim
+ */
+async function loadCards() {
+    const index = await readJson(INDEX_FILE);
+    const cards = index.cards.filter(card => !isFeaturedCard(card));
+    if (!isSlimIndex(index)) return cards;
+
+    return Promise.all(cards.map(async card => (card.grid ? card : { ...card, ...await readJson(`${card.card_id}.json`) })));
+}
+
+/**
+ * Load one card from its file (falling back to the index entry)
+ */
+async function loadCard(cardId) {
+    if (!/^[\w-]+$/.test(cardId)) throw new CliError(`Invalid card ID "${cardId}"`);
+
+    try {
+        return await readJson(`${cardId}.json`);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    const index = await readJson(INDEX_FILE);
+    const card = index.cards.find(c => c.card_id === cardId && c.grid);
+    if (!card) throw new CliError(`Card "${cardId}" not found`);
+    return card;
+}
+
+/**
+ * Load every card file in cards/ as [{file, card}]
+ */
+async function loadCardFiles() {
+    const files = (await readdir(CARDS_DIR))
+        .filter(f => f.endsWith('.json') && f !== INDEX_FILE && f !== MARKETS_FILE)
+        .sort();
+
+    return Promise.all(files.map(async file => {
+        try {
+            return { file, card: await readJson(file) };
+        } catch (e) {
+            // Unparseable files are reported by the validator as non-cards
+            return { file, card: null };
+        }
+    }));
+}
+
+// ============================================================================
+// API
+// ============================================================================
+
+// Requests go through the browser's client (manifold-client.js): request
+// budget, retries on 429/5xx and network errors
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch many API paths (or other items, given fetchOne), reporting progress on stderr
+ * @returns {Array} Responses in order (null for failures)
+ */
+async function fetchAll(items, label, fetchOne = manifoldGet) {
+    let done = 0;
+    const report = () => {
+        if (process.stderr.isTTY) process.stderr.write(`\rFetching ${label}... ${done}/${items.length}`);
+    };
+
+    const results = await Promise.all(items.map(item =>
+        fetchOne(item)
+            .catch(error => {
+                const message = describeApiError(error);
+                console.error(process.stderr.isTTY ? `\n${message}` : message);
+                return null;
+            })
+            .finally(() => {
+                done++;
+                report();
+            })
+    ));
+
+    if (process.stderr.isTTY) process.stderr.write('\n');
+    return results;
+}
+
+function describeApiError(error) {
+    return `Manifold API request failed: ${error.message} for ${error.url}`;
+}
+
+/**
+ * A market's bets back to `since`, newest first (paging like the site)
+ */
+async function fetchBetsSince(contractId, since) {
+    const bets = [];
+    await pageBets(contractId, {
+        onPage: (page) => {
+            bets.push(...page);
+            return page.length > 0 && page[page.length - 1].createdTime < since;
+        }
+    });
+    return bets;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function pct(prob, digits = 1) {
+    return prob == null ? '-' : `${(prob * 100).toFixed(digits)}%`;
+}
+
+function signedPct(value) {
+    if (value == null) return '-';
+    return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
+
+function truncate(text, maxLength) {
+    if (!text || text.length <= maxLength) return text || '';
+    return text.substring(0, maxLength - 1) + '…';
+}
+
+/**
+ * Render rows as left/right aligned columns
+ * @param {Array} columns - {header, align} per column ('right' or 'left')
+ * @param {Array} rows - Arrays of cell strings
+ */
+function formatTable(columns, rows) {
+    const widths = columns.map((col, c) =>
+        Math.max(col.header.length, ...rows.map(row => String(row[c]).length))
+    );
+    const formatRow = (row) => row.map((value, c) => (
+        columns[c].align === 'right' ? String(value).padStart(widths[c]) : String(value).padEnd(widths[c])
+    )).join('  ').trimEnd();
+
+    return [formatRow(columns.map(c => c.header)), ...rows.map(formatRow)].join('\n');
+}
+
+function print(value, json) {
+    console.log(json ? JSON.stringify(value, null, 2) : value);
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * bingo card <id>
+ */
+async function cardCommand(cardId, { offline, json }) {
+    if (!cardId) throw new CliError('Usage: bingo card <id>');
+    const card = await loadCard(cardId);
+
+    // Apply live prices and resolutions on top of the stored grid
+    let grid = card.grid;
+    if (!offline) {
+        const markets = await fetchAll(card.grid.map(cell => `/slug/${cell.slug}`), 'markets');
+        grid = card.grid.map((cell, i) => {
+            const market = markets[i];
+            if (i === FREE_SPACE_INDEX || !market) return cell;
+
+            // N/A and MKT cells keep their stored price (it only matters while awaiting a replacement)
+            const fields = resolutionFields(getCellResolution(cell, market));
+            const prob = fields.resolution ? cell.prob : getCellMarketProb(cell, market) ?? cell.prob;
+            return { ...cell, prob, ...fields };
+        });
+    }
+
+    const policy = getVoidPolicy(card.season);
+    const probs = getGridProbs(grid, policy);
+    const liveStatus = deriveCardStatus(grid, policy);
+    const result = {
+        card_id: card.card_id,
+        user_handle: card.user_handle,
+        status: card.status,
+        live_status: liveStatus,
+        status_mismatch: isStatusMismatch(card.status, liveStatus),
+        source: offline ? 'stored' : 'live',
+        stored_win_probability: card.win_probability,
+        win_probability: exactWinProb(probs),
+        cells: grid.map((cell, i) => ({
+            index: i,
+            question: i === FREE_SPACE_INDEX ? 'FREE' : (cell.answer_text || cell.question),
+            slug: cell.slug,
+            stored_prob: card.grid[i].prob,
+            prob: probs[i],
+            resolution: i === FREE_SPACE_INDEX ? null : describeCellResolution(cell),
+            stored_resolution: i === FREE_SPACE_INDEX ? null : describeCellResolution(card.grid[i]),
+            void_action: i === FREE_SPACE_INDEX ? null : getVoidAction(cell, policy)
+        })),
+        lines: LINES.map(line => ({ name: line.name, ...getLineStats(line, grid, policy) }))
+    };
+
+    if (json) {
+        print(result, true);
+        return;
+    }
+
+    print(formatCard(result), false);
+}
+
+/**
+ * Text rendering of a card: 5x5 grid, then line odds
+ */
+function formatCard(result) {
+    const CELL_WIDTH = 15;
+    const border = '+' + Array(5).fill('-'.repeat(CELL_WIDTH + 2)).join('+') + '+';
+    const lines = [
+        `@${result.user_handle} - ${result.card_id} (${result.status})` +
+            (result.status_mismatch ? ` - cells say ${result.live_status}, stored status disagrees` : ''),
+        `Win probability: ${pct(result.win_probability)} from ${result.source} prices` +
+            ` (${pct(result.stored_win_probability)} at creation)`,
+        '',
+        border
+    ];
+
+    for (let row = 0; row < 5; row++) {
+        const cells = result.cells.slice(row * 5, row * 5 + 5);
+        const text = cells.map(c => truncate(c.question, CELL_WIDTH).padEnd(CELL_WIDTH));
+        const value = cells.map(c => {
+            if (c.index === FREE_SPACE_INDEX) return '';
+            // Flag resolutions that differ from the stored card
+            const flag = c.resolution !== c.stored_resolution ? ' !' : '';
+            if (c.void_action) return `${VOID_RESOLUTION_LABELS[c.resolution]} ${VOID_ACTION_LABELS[c.void_action].short}${flag}`;
+            if (c.resolution) return `${c.resolution}${flag}`;
+            const delta = c.prob - c.stored_prob;
+            const deltaText = result.source === 'live' && Math.abs(delta) >= 0.005
+                ? ` (${delta > 0 ? '+' : ''}${(delta * 100).toFixed(0)})`
+                : '';
+            return `${pct(c.prob, 0)}${deltaText}${flag}`;
+        }).map(v => v.padEnd(CELL_WIDTH));
+
+        lines.push(`| ${text.join(' | ')} |`, `| ${value.join(' | ')} |`, border);
+    }
+
+    lines.push('', formatTable(
+        [{ header: 'Line' }, { header: 'Prob', align: 'right' }, { header: 'Status' }],
+        result.lines.map(l => [
+            l.name,
+            pct(l.prob),
+            (l.status === 'active' ? `${l.yesCount}/5 YES` : l.status) + (l.voidCount > 0 ? ` (${l.voidCount} N/A or MKT)` : '')
+        ])
+    ));
+
+    return lines.join('\n');
+}
+
+/**
+ * bingo leaderboard
+ */
+async function leaderboardCommand({ offline, json, sort, direction }) {
+    const cards = await loadCards();
+
+    let cardsWithStats;
+    if (offline) {
+        // No price history offline, so there is no 24h change to show
+        const stats = computeCardStats(cards, new Map())
+            .map(card => ({ ...card, change24h: null, high24h: null, low24h: null }));
+        cardsWithStats = attachCardReturns(attachCardMarketPrices(stats, new Map()));
+    } else {
+        // Multi-choice answers are tracked separately but share their market's requests
+        // (full snapshots, since lite ones have no answers)
+        const markets = [...collectUniqueMarkets(cards).values()];
+        const snapshotPath = m => (m.answerId ? `/slug/${m.slug}` : `/slug/${m.slug}?lite=true`);
+        const paths = [...new Set(markets.map(snapshotPath))];
+        const snapshots = await fetchAll(paths, 'markets');
+        const snapshotsByPath = new Map(paths.map((p, i) => [p, snapshots[i]]));
+
+        const contractIds = [...new Set(snapshots.map(s => s?.id).filter(Boolean))];
+        const dayAgo = Date.now() - ONE_DAY_MS;
+        const bets = await fetchAll(contractIds, 'bets', id => fetchBetsSince(id, dayAgo));
+        const betsById = new Map(contractIds.map((id, i) => [id, bets[i]]));
+
+        const marketDataMap = new Map();
+        markets.forEach(market => {
+            const snapshot = snapshotsByPath.get(snapshotPath(market));
+            if (!snapshot) return;
+            const state = getCellMarketState({ slug: market.slug, answer_id: market.answerId }, snapshot);
+            const currentProb = state.prob ?? market.currentProb;
+            const marketBets = betsById.get(snapshot.id);
+            const timeline = marketBets ? betsToTimeline(marketBets, market.answerId) : null;
+            marketDataMap.set(market.key, {
+                currentProb,
+                stats: computeMarket24hStats(timeline, currentProb),
+                resolution: state.isResolved ? { resolution: state.resolution, time: state.resolutionTime } : null
+            });
+        });
+
+        const parent = await fetchAll([`/slug/${PARENT_MARKET_SLUG}`], 'card prices');
+        const marketPrices = parent[0] ? getAnswerPrices(parent[0]) : new Map();
+        cardsWithStats = attachCardReturns(attachCardMarketPrices(computeCardStats(cards, marketDataMap), marketPrices));
+    }
+
+    const sorted = sortCards(cardsWithStats.filter(c => c.status === 'active'), sort, direction);
+    const rows = sorted.map((card, i) => ({
+        rank: i + 1,
+        card_id: card.card_id,
+        user_handle: card.user_handle,
+        win_probability: card.liveWinProb,
+        market_price: card.marketPrice,
+        edge: card.edge,
+        purchase_price: card.purchase_price ?? null,
+        expected_value: card.expectedValue,
+        pnl: card.pnl,
+        change_since_purchase: card.changeSincePurchase,
+        change_24h: card.change24h,
+        high_24h: card.high24h,
+        low_24h: card.low24h,
+        live_status: card.liveStatus,
+        status_mismatch: card.statusMismatch
+    }));
+
+    if (json) {
+        print(rows, true);
+        return;
+    }
+
+    print(formatTable(
+        [
+            { header: '#', align: 'right' },
+            { header: 'Player' },
+            { header: 'Card' },
+            { header: 'Win %', align: 'right' },
+            { header: 'Traded', align: 'right' },
+            { header: 'Edge', align: 'right' },
+            { header: 'EV', align: 'right' },
+            { header: 'P&L', align: 'right' },
+            { header: 'Since buy', align: 'right' },
+            { header: '24h', align: 'right' },
+            { header: 'Range', align: 'right' }
+        ],
+        rows.map(r => [
+            r.rank,
+            `@${r.user_handle}`,
+            r.status_mismatch ? `${r.card_id} !` : r.card_id,
+            pct(r.win_probability),
+            pct(r.market_price),
+            signedPct(r.edge),
+            formatMana(r.expected_value),
+            formatMana(r.pnl, true),
+            signedPct(r.change_since_purchase),
+            signedPct(r.change_24h),
+            r.high_24h != null && r.low_24h != null
+                ? `+${((r.high_24h - r.win_probability) * 100).toFixed(1)} / -${((r.win_probability - r.low_24h) * 100).toFixed(1)}`
+                : '-'
+        ])
+    ), false);
+
+    const mismatched = rows.filter(r => r.status_mismatch);
+    if (mismatched.length > 0) {
+        console.log(`\n! ${mismatched.map(r => `${r.card_id} is ${r.live_status}`).join(', ')} by market resolutions (stored as active)`);
+    }
+}
+
+/**
+ * bingo market <slug>
+ */
+async function marketCommand(slug, { offline, json }) {
+    if (!slug) throw new CliError('Usage: bingo market <slug>');
+
+    const cards = await loadCards();
+    const market = collectUniqueMarkets(cards).get(slug);
+    if (!market) throw new CliError(`No card contains market "${slug}"`);
+
+    let liveProb = null;
+    if (!offline) {
+        const [snapshot] = await fetchAll([`/slug/${slug}`], 'market');
+        liveProb = snapshot ? snapshot.probability || snapshot.prob || null : null;
+    }
+
+    // Recompute win probabilities from the grid, with this market's live price if we have it
+    const marketDataMap = liveProb != null ? new Map([[market.key, { currentProb: liveProb }]]) : new Map();
+    const holders = computeCardStats(cards.filter(c => market.cardIds.includes(c.card_id)), marketDataMap);
+    const cardsById = new Map(holders.map(c => [c.card_id, c]));
+    const result = {
+        slug: market.slug,
+        question: market.question,
+        url: market.url,
+        stored_prob: market.currentProb,
+        live_prob: liveProb,
+        cards: market.cardIds.map(cardId => {
+            const card = cardsById.get(cardId);
+            const index = card.grid.findIndex(cell => cell.slug === slug);
+            return {
+                card_id: cardId,
+                user_handle: card.user_handle,
+                status: card.status,
+                row: Math.floor(index / 5) + 1,
+                col: (index % 5) + 1,
+                answer: card.grid[index].answer_text ?? null,
+                win_probability: card.liveWinProb
+            };
+        })
+    };
+
+    if (json) {
+        print(result, true);
+        return;
+    }
+
+    print([
+        result.question,
+        result.url,
+        `Probability: ${pct(result.stored_prob)} stored` + (liveProb != null ? `, ${pct(liveProb)} live` : ''),
+        `On ${result.cards.length} card${result.cards.length !== 1 ? 's' : ''}:`,
+        '',
+        formatTable(
+            [{ header: 'Card' }, { header: 'Player' }, { header: 'Cell' }, { header: 'Status' }, { header: 'Win %', align: 'right' }],
+            result.cards.map(c => [
+                c.card_id,
+                `@${c.user_handle}`,
+                `R${c.row}C${c.col}` + (c.answer ? ` ${truncate(c.answer, 30)}` : ''),
+                c.status,
+                pct(c.win_probability)
+            ])
+        )
+    ].join('\n'), false);
+}
+
+/**
+ * bingo validate
+ */
+async function validateCommand({ json, verbose }) {
+    const [cards, index, marketsData] = await Promise.all([
+        loadCardFiles(),
+        readJson(INDEX_FILE),
+        readJson(MARKETS_FILE)
+    ]);
+
+    const report = validateCardSet({ cards, index, marketsData });
+    print(json ? report : formatValidationReport(report, { verbose }), json);
+
+    if (report.errors > 0) process.exitCode = 1;
+}
+
+/**
+ * bingo index
+ */
+async function indexCommand({ json, slim, check }) {
+    const [files, current] = await Promise.all([
+        loadCardFiles(),
+        readJson(INDEX_FILE).catch(e => {
+            if (e.code === 'ENOENT') return { cards: [] };
+            throw e;
+        })
+    ]);
+
+    const unreadable = files.filter(f => !f.card?.card_id).map(f => f.file);
+    if (unreadable.length > 0) {
+        throw new CliError(`Not card files (run validate for details): ${unreadable.join(', ')}`);
+    }
+
+    const cards = files.map(f => f.card);
+    const drift = diffCardIndex(current, cards);
+    print(json ? drift : formatIndexDrift(drift), json);
+
+    if (check) {
+        if (drift.length > 0) process.exitCode = 1;
+        return;
+    }
+
+    const index = buildCardIndex(cards, { slim });
+    await writeFile(path.join(CARDS_DIR, INDEX_FILE), JSON.stringify(index, null, 2));
+    if (!json) {
+        console.log(`Wrote ${INDEX_FILE} with ${cards.length} cards${slim ? ' (slim)' : ''}`);
+    }
+}
+
+/**
+ * bingo markets
+ */
+async function marketsCommand({ json, check }) {
+    const [previous, excludedSlugs] = await Promise.all([
+        readJson(MARKETS_FILE).catch(e => {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }),
+        readSlugList(EXCLUDED_MARKETS_FILE)
+    ]);
+
+    const now = Date.now();
+    const criteria = refreshCriteria(previous?.criteria, now);
+    const results = await searchMarkets(criteria);
+    const marketsData = buildMarketsData(results, criteria, { now, excludedSlugs });
+
+    // Markets that left the pool: search results say why, the rest (usually
+    // resolved or closed) are looked up one by one
+    const kept = new Set(marketsData.markets.map(m => m.slug));
+    const searched = new Map(results.map(m => [m.slug, m]));
+    const droppedSlugs = (previous?.markets || []).map(m => m.slug).filter(slug => !kept.has(slug));
+    const unseen = droppedSlugs.filter(slug => !searched.has(slug));
+    const lookups = new Map(droppedSlugs.filter(slug => searched.has(slug)).map(slug => [slug, searched.get(slug)]));
+    await lookupMarkets(unseen, lookups);
+    const diff = diffMarketPools(previous, marketsData, lookups, excludedSlugs);
+
+    print(json ? { count: marketsData.count, criteria, ...diff } : formatMarketDiff(diff), json);
+    if (check) return;
+
+    await Promise.all([
+        writeFile(path.join(CARDS_DIR, MARKETS_FILE), JSON.stringify(marketsData)),
+        writeFile(path.join(CARDS_DIR, MARKETS_TXT_FILE), formatMarketsTxt(marketsData))
+    ]);
+    if (!json) {
+        console.log(`Wrote ${MARKETS_FILE} and ${MARKETS_TXT_FILE} with ${marketsData.count} eligible markets`);
+    }
+}
+
+/**
+ * Look up markets by slug into lookups: the market, or null if Manifold says
+ * there is no such slug. Other failures are reported and left out, so a flaky
+ * request doesn't show up as "not found".
+ */
+async function lookupMarkets(slugs, lookups) {
+    await Promise.all(slugs.map(slug =>
+        manifoldGet(`/slug/${slug}`)
+            .then(market => lookups.set(slug, market))
+            .catch(error => {
+                if (error.status === 404) {
+                    lookups.set(slug, null);
+                } else {
+                    console.error(describeApiError(error));
+                }
+            })
+    ));
+}
+
+/**
+ * Page through open binary markets until they close after the pool window
+ */
+async function searchMarkets(criteria) {
+    const results = [];
+    for (let page = 0; page < SEARCH_MAX_PAGES; page++) {
+        if (process.stderr.isTTY) process.stderr.write(`\rSearching markets... ${results.length}`);
+
+        const markets = await manifoldGet(buildSearchQuery({ limit: SEARCH_PAGE_SIZE, offset: page * SEARCH_PAGE_SIZE }));
+        results.push(...markets);
+
+        const last = markets[markets.length - 1];
+        if (markets.length < SEARCH_PAGE_SIZE) break;
+        if (criteria.max_close_ms != null && last.closeTime > criteria.max_close_ms) break;
+    }
+
+    if (process.stderr.isTTY) process.stderr.write(`\rSearching markets... ${results.length}\n`);
+    return results;
+}
+
+/**
+ * Read a slug list from cards/ (one per line, # comments), empty if missing
+ */
+async function readSlugList(file) {
+    try {
+        const text = await readFile(path.join(CARDS_DIR, file), 'utf8');
+        return new Set(text.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean));
+    } catch (e) {
+        if (e.code === 'ENOENT') return new Set();
+        throw e;
+    }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const apiBase = options.api || process.env.MANIFOLD_API;
+    if (apiBase) setManifoldApiBase(apiBase);
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return;
+    }
+
+    switch (options.command) {
+        case 'card':
+            return cardCommand(options.args[0], options);
+        case 'leaderboard':
+            return leaderboardCommand(options);
+        case 'market':
+            return marketCommand(options.args[0], options);
+        case 'validate':
+            return validateCommand(options);
+        case 'index':
+            return indexCommand(options);
+        case 'markets':
+            return marketsCommand(options);
+        default:
+            throw new CliError(`Unknown command "${options.command}"\n\n${USAGE}`);
+    }
+}
+
+main().catch(error => {
+    if (error instanceof CliError) {
+        console.error(error.message);
+    } else if (error instanceof ManifoldApiError) {
+        console.error(describeApiError(error));
+    } else {
+        console.error(error);
+    }
+    process.exitCode = 1;
+});
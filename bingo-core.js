@@ -0,0 +1,1239 @@
+/**
+ * Manifold Bingo 2026 - Core Library
+ *
+ * Bingo math and market statistics with no DOM or network dependencies,
+ * shared by the site (app.js), web workers and Node 18+ scripts (package.json
+ * marks the repo as ES modules):
+ *
+ *   import { exactWinProb, getGridProbs } from './bingo-core.js';
+ *
+ * Functions take plain card/market data (as in cards/*.json and the
+ * Manifold API) and return plain data; rendering lives in app.js.
+ */
+
+// ============================================================================
+// GRID AND LINE FUNCTIONS
+// ============================================================================
+
+// Line indices for display
+export const LINES = [
+    { name: 'Row 1', indices: [0, 1, 2, 3, 4] },
+    { name: 'Row 2', indices: [5, 6, 7, 8, 9] },
+    { name: 'Row 3', indices: [10, 11, 12, 13, 14] },
+    { name: 'Row 4', indices: [15, 16, 17, 18, 19] },
+    { name: 'Row 5', indices: [20, 21, 22, 23, 24] },
+    { name: 'Col 1', indices: [0, 5, 10, 15, 20] },
+    { name: 'Col 2', indices: [1, 6, 11, 16, 21] },
+    { name: 'Col 3', indices: [2, 7, 12, 17, 22] },
+    { name: 'Col 4', indices: [3, 8, 13, 18, 23] },
+    { name: 'Col 5', indices: [4, 9, 14, 19, 24] },
+    { name: 'Diag \\', indices: [0, 6, 12, 18, 24] },
+    { name: 'Diag /', indices: [4, 8, 12, 16, 20] },
+];
+
+export const FREE_SPACE_INDEX = 12;
+
+// Card statuses and their display text
+export const CARD_STATUS_LABELS = {
+    pending_fill: 'Pending',
+    active: 'Active',
+    resolved_yes: 'Winner!',
+    resolved_no: 'No Bingo'
+};
+
+/**
+ * Whether a card is a featured (YouTuber) card, shown apart from the player cards
+ */
+export function isFeaturedCard(card) {
+    return card.card_type === 'featured';
+}
+
+// ============================================================================
+// SEASON RULES
+// ============================================================================
+
+// Resolutions that are neither YES nor NO: N/A and resolve-to-probability
+export const VOID_RESOLUTIONS = ['CANCEL', 'MKT'];
+
+// How a voided cell counts:
+// - free: filled, like the free space
+// - no: blocks its lines, like a NO
+// - replace: stays open at its stored price until the card gets a replacement market
+export const VOID_POLICIES = ['free', 'no', 'replace'];
+
+// Display names for void resolutions and policy actions
+export const VOID_RESOLUTION_LABELS = { CANCEL: 'N/A', MKT: 'MKT' };
+export const VOID_ACTION_LABELS = {
+    free: { short: 'free', long: 'counts as free' },
+    no: { short: 'as NO', long: 'counts as NO' },
+    replace: { short: 'replace', long: 'needs replacement' }
+};
+
+// Rules per season (cards carry a `season`; cards without one are in the current season)
+export const SEASONS = {
+    2026: {
+        voidPolicy: { CANCEL: 'free', MKT: 'replace' }
+    }
+};
+export const CURRENT_SEASON = 2026;
+
+/**
+ * Void policy for a season: {CANCEL, MKT} -> 'free' | 'no' | 'replace'
+ */
+export function getVoidPolicy(season = CURRENT_SEASON) {
+    return (SEASONS[season] ?? SEASONS[CURRENT_SEASON]).voidPolicy;
+}
+
+/**
+ * How a voided cell counts under a policy ('free', 'no' or 'replace'), or null if not voided
+ */
+export function getVoidAction(cell, policy = getVoidPolicy()) {
+    return VOID_RESOLUTIONS.includes(cell.resolution) ? policy[cell.resolution] ?? 'replace' : null;
+}
+
+/**
+ * Whether a cell counts as YES (true), NO (false) or open (null), applying the
+ * void policy to N/A and MKT cells
+ */
+export function getCellResolved(cell, policy = getVoidPolicy()) {
+    if (cell.resolved === true || cell.resolved === false) return cell.resolved;
+
+    const action = getVoidAction(cell, policy);
+    if (action === 'free') return true;
+    if (action === 'no') return false;
+    return null;
+}
+
+/**
+ * Get probabilities for all 25 cells of a grid (resolved cells as 1/0, free space as 1)
+ */
+export function getGridProbs(grid, policy = getVoidPolicy()) {
+    return grid.map((cell, i) => {
+        if (i === FREE_SPACE_INDEX) return 1.0;
+        const resolved = getCellResolved(cell, policy);
+        if (resolved === true) return 1.0;
+        if (resolved === false) return 0.0;
+        return cell.prob || 0.5;
+    });
+}
+
+/**
+ * Calculate line probability (product of cell probs)
+ */
+export function calculateLineProb(probs) {
+    return probs.reduce((acc, p) => acc * p, 1);
+}
+
+/**
+ * Get line status and probability
+ * Voided cells count per the policy; voidCount says how many the line holds.
+ */
+export function getLineStats(line, grid, policy = getVoidPolicy()) {
+    // The free space counts as YES whatever its market does
+    const resolved = line.indices.map(i => (i === FREE_SPACE_INDEX ? true : getCellResolved(grid[i], policy)));
+    const yesCount = resolved.filter(r => r === true).length;
+    const noCount = resolved.filter(r => r === false).length;
+    const voidCount = line.indices.filter(i => i !== FREE_SPACE_INDEX && getVoidAction(grid[i], policy)).length;
+
+    const probs = line.indices.map((i, k) => {
+        if (resolved[k] === true) return 1.0;
+        if (resolved[k] === false) return 0.0;
+        return grid[i].prob || 0.5;
+    });
+    const prob = calculateLineProb(probs);
+
+    let status = 'active';
+    if (yesCount === 5) status = 'complete';
+    else if (noCount > 0) status = 'blocked';
+
+    return { prob, status, yesCount, voidCount };
+}
+
+// ============================================================================
+// CARD STATUS FUNCTIONS
+// ============================================================================
+
+/**
+ * Cell fields for a resolution: {resolved, resolution}
+ * YES/NO set `resolved`; N/A and MKT leave it null and keep the resolution.
+ * @param {string|null} resolution - 'YES', 'NO', 'CANCEL', 'MKT' or null while open
+ */
+export function resolutionFields(resolution) {
+    return {
+        resolved: resolution === 'YES' ? true : resolution === 'NO' ? false : null,
+        resolution: VOID_RESOLUTIONS.includes(resolution) ? resolution : null
+    };
+}
+
+/**
+ * A cell's resolution as one value: 'YES', 'NO', 'CANCEL', 'MKT' or null while open
+ */
+export function describeCellResolution(cell) {
+    if (cell.resolved === true) return 'YES';
+    if (cell.resolved === false) return 'NO';
+    return VOID_RESOLUTIONS.includes(cell.resolution) ? cell.resolution : null;
+}
+
+/**
+ * Resolution of a cell's market (answer-level for multi-choice cells)
+ * @param {Object} cell - Grid cell
+ * @param {Object} market - Manifold API market
+ * @returns {string|null} 'YES', 'NO', 'CANCEL', 'MKT', or null while open
+ */
+export function getCellResolution(cell, market) {
+    if (cell.answer_id && market.answers) {
+        const answer = market.answers.find(a => a.id === cell.answer_id);
+        if (answer?.resolution) return answer.resolution;
+        if (!market.isResolved) return null;
+
+        // A resolved single-answer market names the winning answer, or
+        // splits MKT resolutions across answers as percentages
+        if (market.resolution === 'CANCEL') return 'CANCEL';
+        if (market.resolution === 'MKT') {
+            const share = market.resolutions?.[cell.answer_id] ?? 0;
+            return share >= 100 ? 'YES' : share <= 0 ? 'NO' : 'MKT';
+        }
+        return market.resolution === cell.answer_id ? 'YES' : 'NO';
+    }
+    return market.isResolved ? market.resolution ?? null : null;
+}
+
+/**
+ * Card status implied by its cells: won once any line completes, lost once
+ * every line is blocked
+ * @param {Array} grid - 25 cells with resolved flags
+ * @param {Object} policy - Void policy for N/A and MKT cells
+ * @returns {string} 'resolved_yes', 'resolved_no' or 'active'
+ */
+export function deriveCardStatus(grid, policy = getVoidPolicy()) {
+    const statuses = LINES.map(line => getLineStats(line, grid, policy).status);
+    if (statuses.includes('complete')) return 'resolved_yes';
+    if (statuses.every(status => status === 'blocked')) return 'resolved_no';
+    return 'active';
+}
+
+/**
+ * Whether a stored status disagrees with the derived one
+ * (a pending card that derives as active is still in play)
+ */
+export function isStatusMismatch(storedStatus, derivedStatus) {
+    if (storedStatus === 'pending_fill') return derivedStatus !== 'active';
+    return storedStatus !== derivedStatus;
+}
+
+// ============================================================================
+// WIN PROBABILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Approximate win probability using line independence assumption
+ * P(win) = 1 - P(all 12 lines fail)
+ * P(line fails) = 1 - P(all 5 cells resolve YES)
+ */
+export function approximateWinProb(probs) {
+    let probAllLinesFail = 1;
+
+    for (const line of LINES) {
+        // P(this line completes) = product of all 5 cell probs
+        let lineProb = 1;
+        for (const idx of line.indices) {
+            lineProb *= probs[idx];
+        }
+        // P(this line fails) = 1 - P(line completes)
+        probAllLinesFail *= (1 - lineProb);
+    }
+
+    return 1 - probAllLinesFail;
+}
+
+/**
+ * Win probability a card is priced at when it's made (its stored
+ * win_probability): the approximation over the cell prices, free space at its
+ * market price. The card builder targets it and the validator checks it.
+ */
+export function cardPriceWinProb(probs) {
+    return approximateWinProb(probs);
+}
+
+// Inclusion-exclusion terms over LINES (built once on first use)
+let lineSubsetTerms = null;
+
+/**
+ * Build one inclusion-exclusion term per non-empty subset of LINES:
+ * the cells covered by the union of those lines, and the term's sign
+ */
+function getLineSubsetTerms() {
+    if (lineSubsetTerms) return lineSubsetTerms;
+
+    const lineMasks = LINES.map(line =>
+        line.indices.reduce((mask, idx) => mask | (1 << idx), 0)
+    );
+
+    lineSubsetTerms = [];
+    for (let subset = 1; subset < (1 << LINES.length); subset++) {
+        let mask = 0;
+        let lineCount = 0;
+        for (let l = 0; l < LINES.length; l++) {
+            if (subset & (1 << l)) {
+                mask |= lineMasks[l];
+                lineCount++;
+            }
+        }
+
+        const cells = [];
+        for (let idx = 0; idx < 25; idx++) {
+            if (mask & (1 << idx)) cells.push(idx);
+        }
+        lineSubsetTerms.push({ cells, sign: lineCount % 2 === 1 ? 1 : -1 });
+    }
+
+    return lineSubsetTerms;
+}
+
+/**
+ * Exact win probability given independent per-cell probabilities
+ * P(win) = P(at least one line completes), by inclusion-exclusion over the
+ * 4095 non-empty subsets of LINES. Shared cells (including the free space)
+ * are counted once per term, so overlapping lines are handled exactly.
+ */
+export function exactWinProb(probs) {
+    let winProb = 0;
+
+    for (const term of getLineSubsetTerms()) {
+        let termProb = term.sign;
+        for (const idx of term.cells) {
+            termProb *= probs[idx];
+        }
+        winProb += termProb;
+    }
+
+    // Clamp floating-point noise from the alternating sum
+    return Math.min(1, Math.max(0, winProb));
+}
+
+/**
+ * Compute how much each unresolved cell moves the card's win probability
+ * @param {Array} probs - Probabilities for all 25 cells (resolved cells as 1/0)
+ * @param {Array} grid - Card grid (resolved and voided cells are skipped)
+ * @returns {Array} Per-cell {ifYes, ifNo, spread}, or null for free/resolved cells
+ */
+export function computeCellLeverage(probs, grid) {
+    return grid.map((cell, i) => {
+        if (i === FREE_SPACE_INDEX) return null;
+        if (describeCellResolution(cell)) return null;
+
+        const ifYes = exactWinProb(probs.map((p, j) => (j === i ? 1.0 : p)));
+        const ifNo = exactWinProb(probs.map((p, j) => (j === i ? 0.0 : p)));
+        return { ifYes, ifNo, spread: ifYes - ifNo };
+    });
+}
+
+// ============================================================================
+// CARD STATS FUNCTIONS
+// ============================================================================
+
+/**
+ * Compute live card stats from market data
+ * @param {Array} cards - Card objects
+ * @param {Map} marketDataMap - Map of market key (getMarketKey) -> {currentProb, stats, resolution}
+ * @returns {Array} Cards with liveWinProb, change24h, high24h, low24h, liveProbs
+ *   (per cell, null unless active), liveStatus (derived from market resolutions)
+ *   and statusMismatch
+ */
+export function computeCardStats(cards, marketDataMap) {
+    return cards.map(card => {
+        const policy = getVoidPolicy(card.season);
+        const liveGrid = card.grid ? getLiveResolvedGrid(card.grid, marketDataMap) : null;
+        const liveStatus = liveGrid ? deriveCardStatus(liveGrid, policy) : card.status;
+        const statusMismatch = isStatusMismatch(card.status, liveStatus);
+
+        if (!card.grid || card.status !== 'active') {
+            // Decided cards are certain either way
+            const liveWinProb = liveStatus === 'resolved_yes' ? 1 : liveStatus === 'resolved_no' ? 0 : card.win_probability;
+            return { ...card, liveWinProb, change24h: null, high24h: null, low24h: null, liveProbs: null, liveStatus, statusMismatch };
+        }
+
+        // Get live probs for all 25 cells (resolved and voided cells per the season's policy)
+        const liveProbs = liveGrid.map((cell, i) => {
+            if (i === FREE_SPACE_INDEX) return 1.0; // Free space
+            const resolved = getCellResolved(cell, policy);
+            if (resolved !== null) return resolved ? 1.0 : 0.0;
+            if (getVoidAction(cell, policy)) return cell.prob; // Awaiting a replacement
+            const marketData = marketDataMap.get(getMarketKey(cell));
+            return marketData?.currentProb ?? cell.prob;
+        });
+
+        // Without price history, settled cells were settled 24h ago too
+        const isSettled = liveGrid.map(cell => getCellResolved(cell, policy) !== null);
+        const fallbackProb = (cell, i) => (isSettled[i] ? liveProbs[i] : cell.prob);
+
+        // Get 24h-ago probs for all 25 cells
+        const probs24hAgo = card.grid.map((cell, i) => {
+            if (i === FREE_SPACE_INDEX) return 1.0;
+            const marketData = marketDataMap.get(getMarketKey(cell));
+            return marketData?.stats?.prob24hAgo ?? fallbackProb(cell, i);
+        });
+
+        // Get 24h high probs (best case scenario in last 24h)
+        const highProbs = card.grid.map((cell, i) => {
+            if (i === FREE_SPACE_INDEX) return 1.0;
+            const marketData = marketDataMap.get(getMarketKey(cell));
+            return marketData?.stats?.high24h ?? fallbackProb(cell, i);
+        });
+
+        // Get 24h low probs (worst case scenario in last 24h)
+        const lowProbs = card.grid.map((cell, i) => {
+            if (i === FREE_SPACE_INDEX) return 1.0;
+            const marketData = marketDataMap.get(getMarketKey(cell));
+            return marketData?.stats?.low24h ?? fallbackProb(cell, i);
+        });
+
+        const liveWinProb = exactWinProb(liveProbs);
+        const winProb24hAgo = exactWinProb(probs24hAgo);
+        const high24h = exactWinProb(highProbs);
+        const low24h = exactWinProb(lowProbs);
+        const change24h = liveWinProb - winProb24hAgo;
+
+        return { ...card, liveWinProb, change24h, high24h, low24h, liveProbs, liveStatus, statusMismatch };
+    });
+}
+
+/**
+ * Grid with each cell's resolved flag taken from its market's resolution
+ * ({resolution, time} or null while open); cells without one keep their stored flag
+ */
+function getLiveResolvedGrid(grid, marketDataMap) {
+    return grid.map(cell => {
+        const marketData = marketDataMap.get(getMarketKey(cell));
+        if (marketData?.resolution === undefined) return cell;
+        return { ...cell, ...resolutionFields(marketData.resolution?.resolution ?? null) };
+    });
+}
+
+/**
+ * Map of answer ID -> probability for a multi-choice market
+ */
+export function getAnswerPrices(market) {
+    const prices = new Map();
+    for (const answer of market.answers || []) {
+        // Answer uses 'prob', not 'probability'
+        const prob = answer.prob ?? answer.probability;
+        if (prob != null) prices.set(answer.id, prob);
+    }
+    return prices;
+}
+
+/**
+ * Live probability of a cell from its market (null if the market has none)
+ * Multi-choice cells (with answer_id) follow their answer; binary cells the market.
+ */
+export function getCellMarketProb(cell, market) {
+    if (cell.answer_id && market.answers) {
+        const answer = market.answers.find(a => a.id === cell.answer_id);
+        // Answer uses 'prob', not 'probability'
+        return answer?.prob ?? answer?.probability ?? null;
+    }
+    return market.probability || market.prob || null;
+}
+
+/**
+ * A cell's side of its market: probability and resolution, answer-level for
+ * multi-choice cells (needs a full snapshot; lite ones have no answers)
+ * @returns {Object} {prob, isResolved, resolution, resolutionTime, resolutionProbability}
+ */
+export function getCellMarketState(cell, market) {
+    const resolution = getCellResolution(cell, market);
+    const answer = cell.answer_id ? market.answers?.find(a => a.id === cell.answer_id) : null;
+
+    // MKT answers resolve to their own probability, or a share of a sum-to-one market
+    let resolutionProbability = null;
+    if (resolution === 'MKT') {
+        const share = cell.answer_id && !answer?.resolution ? market.resolutions?.[cell.answer_id] : null;
+        resolutionProbability = share != null ? share / 100
+            : answer ? answer.resolutionProbability ?? null : market.resolutionProbability ?? null;
+    }
+
+    return {
+        prob: getCellMarketProb(cell, market),
+        isResolved: resolution !== null,
+        resolution,
+        resolutionTime: answer?.resolutionTime ?? market.resolutionTime ?? null,
+        resolutionProbability
+    };
+}
+
+/**
+ * Attach traded price and edge (modelled minus traded) to card stats
+ * @param {Array} cardsWithStats - Output of computeCardStats
+ * @param {Map} marketPrices - Map of answer_id -> traded probability
+ * @returns {Array} Cards with marketPrice and edge (null when unmatched)
+ */
+export function attachCardMarketPrices(cardsWithStats, marketPrices) {
+    return cardsWithStats.map(card => {
+        const marketPrice = marketPrices.get(card.answer_id) ?? null;
+        const modelProb = card.liveWinProb ?? card.win_probability;
+        const edge = marketPrice !== null && modelProb != null ? modelProb - marketPrice : null;
+        return { ...card, marketPrice, edge };
+    });
+}
+
+// ============================================================================
+// RETURNS AND PLAYER TOTALS
+// ============================================================================
+
+// Draws used to estimate the chance that at least one of a player's cards wins
+export const ANY_WIN_SAMPLES = 20000;
+
+/**
+ * M$ a card pays if it wins (its shares of the parent market answer),
+ * or null without purchase data
+ */
+export function getCardPayout(card) {
+    if (!(card.purchase_price > 0) || !(card.purchase_prob > 0)) return null;
+    return card.purchase_price / card.purchase_prob;
+}
+
+/**
+ * Format a mana amount (optionally with its sign), '-' when missing
+ */
+export function formatMana(value, signed = false) {
+    if (value == null) return '-';
+    const sign = signed ? (value >= 0 ? '+' : '-') : (value < 0 ? '-' : '');
+    return `${sign}M$${Math.abs(value).toFixed(0)}`;
+}
+
+/**
+ * Attach returns on the purchase to card stats (null without purchase data)
+ * - expectedValue: payout x modelled win probability
+ * - pnl: unrealised profit, shares marked at the traded price (the model's when untraded)
+ * - changeSincePurchase: modelled win probability minus purchase_prob
+ * @param {Array} cardsWithStats - Output of attachCardMarketPrices
+ * @returns {Array} Cards with payout, expectedValue, pnl and changeSincePurchase
+ */
+export function attachCardReturns(cardsWithStats) {
+    return cardsWithStats.map(card => {
+        const payout = getCardPayout(card);
+        const modelProb = card.liveWinProb ?? card.win_probability;
+        if (payout === null || modelProb == null) {
+            return { ...card, payout, expectedValue: null, pnl: null, changeSincePurchase: null };
+        }
+
+        const markProb = card.marketPrice ?? modelProb;
+        return {
+            ...card,
+            payout,
+            expectedValue: payout * modelProb,
+            pnl: payout * markProb - card.purchase_price,
+            changeSincePurchase: modelProb - card.purchase_prob
+        };
+    });
+}
+
+/**
+ * Group cards by player, with totals
+ * Groups carry card-style fields so sortCards can order them: purchase_price
+ * is the total stake and liveWinProb the chance that at least one card wins.
+ * @param {Array} cards - Output of attachCardReturns
+ * @param {Object} options - {samples} for the at-least-one estimate
+ * @returns {Array} [{user_handle, cards, cardCount, purchase_price, expectedValue, pnl, liveWinProb}]
+ */
+export function groupCardsByPlayer(cards, { samples = ANY_WIN_SAMPLES } = {}) {
+    const byHandle = new Map();
+    for (const card of cards) {
+        if (!byHandle.has(card.user_handle)) byHandle.set(card.user_handle, []);
+        byHandle.get(card.user_handle).push(card);
+    }
+
+    const sum = (playerCards, field) => {
+        const values = playerCards.map(c => c[field]).filter(v => v != null);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) : null;
+    };
+
+    return [...byHandle].map(([handle, playerCards]) => ({
+        user_handle: handle,
+        cards: playerCards,
+        cardCount: playerCards.length,
+        purchase_price: sum(playerCards, 'purchase_price'),
+        expectedValue: sum(playerCards, 'expectedValue'),
+        pnl: sum(playerCards, 'pnl'),
+        liveWinProb: anyCardWinsProb(playerCards, samples)
+    }));
+}
+
+/**
+ * Probability that at least one of several cards gets a bingo
+ * @param {Array} cards - Cards with grid and optional liveProbs
+ * @param {number} samples - Monte Carlo draws
+ */
+export function anyCardWinsProb(cards, samples = ANY_WIN_SAMPLES) {
+    if (cards.length === 0) return 0;
+    if (cards.length === 1) return cards[0].liveWinProb ?? cards[0].win_probability ?? 0;
+    return jointCardWinProbs(cards, samples).any;
+}
+
+/**
+ * Win probabilities for several cards drawn together
+ * Cards often share markets, so the cards aren't independent: markets are
+ * drawn once per sample (each market independent, as in exactWinProb) and
+ * every card is checked against the same draw. Seeded, so repeated renders agree.
+ * @param {Array} cards - Cards with grid and optional liveProbs
+ * @param {number} samples - Monte Carlo draws
+ * @returns {Object} {each: per-card win probability, all: every card wins, any: at least one wins}
+ */
+export function jointCardWinProbs(cards, samples = ANY_WIN_SAMPLES) {
+    const { cardMarkets, draw, isYes } = createMarketDraw(cards);
+    const random = createRandom(1);
+    const wins = new Array(cards.length).fill(0);
+    let all = 0;
+    let any = 0;
+
+    for (let s = 0; s < samples; s++) {
+        draw(random);
+        let count = 0;
+        cardMarkets.forEach((markets, c) => {
+            if (LINES.some(line => line.indices.every(i => isYes(markets[i])))) {
+                wins[c]++;
+                count++;
+            }
+        });
+        if (count === cards.length) all++;
+        if (count > 0) any++;
+    }
+
+    return {
+        each: wins.map(w => w / samples),
+        all: all / samples,
+        any: any / samples
+    };
+}
+
+// Cells settled before the draw: always YES / always NO
+const DRAW_ALWAYS = -1;
+const DRAW_NEVER = -2;
+
+/**
+ * Map several cards onto one shared draw of their markets
+ * Each card cell points at its market's slot (a market on several cards has
+ * one slot) or at DRAW_ALWAYS / DRAW_NEVER when settled. Each draw(random)
+ * resolves every slot independently at its probability; isYes reads a cell.
+ * @param {Array} cards - Cards with grid and optional liveProbs
+ * @returns {Object} {cardMarkets: per card, per cell slot, draw(random), isYes(slot)}
+ */
+function createMarketDraw(cards) {
+    const marketIndex = new Map();
+    const marketProbs = [];
+    const cardMarkets = cards.map(card => {
+        const probs = card.liveProbs ?? getGridProbs(card.grid, getVoidPolicy(card.season));
+        return card.grid.map((cell, i) => {
+            if (probs[i] >= 1) return DRAW_ALWAYS;
+            if (probs[i] <= 0) return DRAW_NEVER;
+            const key = getMarketKey(cell);
+            if (!marketIndex.has(key)) {
+                marketIndex.set(key, marketProbs.length);
+                marketProbs.push(probs[i]);
+            }
+            return marketIndex.get(key);
+        });
+    });
+
+    const outcomes = new Uint8Array(marketProbs.length);
+    return {
+        cardMarkets,
+        draw: (random) => {
+            for (let m = 0; m < marketProbs.length; m++) {
+                outcomes[m] = random() < marketProbs[m] ? 1 : 0;
+            }
+        },
+        isYes: (slot) => slot === DRAW_ALWAYS || (slot >= 0 && outcomes[slot] === 1)
+    };
+}
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Sort cards by column (stable sort)
+ */
+export function sortCards(cards, column, direction) {
+    const multiplier = direction === 'desc' ? -1 : 1;
+
+    return [...cards].sort((a, b) => {
+        let valA, valB;
+
+        switch (column) {
+            case 'handle':
+                valA = (a.user_handle || '').toLowerCase();
+                valB = (b.user_handle || '').toLowerCase();
+                return multiplier * valA.localeCompare(valB);
+            case 'prob':
+                valA = a.liveWinProb ?? a.win_probability ?? 0;
+                valB = b.liveWinProb ?? b.win_probability ?? 0;
+                break;
+            case 'change':
+                // Sort by actual value (winners first when desc)
+                valA = a.change24h ?? 0;
+                valB = b.change24h ?? 0;
+                break;
+            case 'upside':
+                // How far below 24h high (room to grow)
+                valA = (a.high24h ?? a.liveWinProb ?? 0) - (a.liveWinProb ?? 0);
+                valB = (b.high24h ?? b.liveWinProb ?? 0) - (b.liveWinProb ?? 0);
+                break;
+            case 'downside':
+                // How far above 24h low (room to fall)
+                valA = (a.liveWinProb ?? 0) - (a.low24h ?? a.liveWinProb ?? 0);
+                valB = (b.liveWinProb ?? 0) - (b.low24h ?? b.liveWinProb ?? 0);
+                break;
+            case 'market':
+                valA = a.marketPrice ?? 0;
+                valB = b.marketPrice ?? 0;
+                break;
+            case 'edge':
+                // Modelled minus traded (underpriced cards first when desc)
+                valA = a.edge ?? 0;
+                valB = b.edge ?? 0;
+                break;
+            case 'stake':
+                valA = a.purchase_price ?? 0;
+                valB = b.purchase_price ?? 0;
+                break;
+            case 'ev':
+                valA = a.expectedValue ?? 0;
+                valB = b.expectedValue ?? 0;
+                break;
+            case 'pnl':
+                valA = a.pnl ?? 0;
+                valB = b.pnl ?? 0;
+                break;
+            case 'purchase':
+                // Win probability change since the card was bought
+                valA = a.changeSincePurchase ?? 0;
+                valB = b.changeSincePurchase ?? 0;
+                break;
+            default:
+                return 0;
+        }
+
+        if (valA === valB) return 0;
+        return multiplier * (valA > valB ? 1 : -1);
+    });
+}
+
+// ============================================================================
+// SEASON SIMULATION
+// ============================================================================
+
+// Runs in a season simulation
+export const SEASON_RUNS = 20000;
+
+// Report progress every N runs
+const SEASON_PROGRESS_EVERY = 2000;
+
+/**
+ * Simulate the rest of the season for every card at once
+ * Each run draws every open market once (shared markets agree across cards,
+ * each market independent, as in exactWinProb) and resolves it at its
+ * expected resolution time, so cards can be ordered by when they complete
+ * a line. Cards tied for first share the credit. Seeded, so reruns agree.
+ * @param {Array} cards - Active cards with grid and optional liveProbs
+ * @param {Map} resolveTimes - Market key -> time (ms) the market resolves (or resolved)
+ * @param {Object} options - {runs, defaultTime (for markets without a time), onProgress(done, total)}
+ * @returns {Object} {runs, winnerCounts (probability of each number of winners),
+ *   expectedWinners, noWinnerProb, cards: [{card_id, user_handle, winProb, firstProb}] most likely first,
+ *   firstBingo: {mean, p10, median, p90} times (ms) of the first bingo when there is one, or null}
+ */
+export function simulateSeason(cards, resolveTimes, { runs = SEASON_RUNS, defaultTime = Date.now(), onProgress = null } = {}) {
+    // Per card, the market each cell draws from and when it resolves
+    const { cardMarkets, draw, isYes } = createMarketDraw(cards);
+    const timeOf = (cell) => resolveTimes.get(getMarketKey(cell)) ?? defaultTime;
+    const cardCells = cards.map((card, c) => ({
+        markets: cardMarkets[c],
+        // The free space is filled from the start
+        times: card.grid.map((cell, i) => (i === FREE_SPACE_INDEX ? 0 : timeOf(cell)))
+    }));
+
+    const random = createRandom(1);
+
+    const winnerCounts = new Array(cards.length + 1).fill(0);
+    const wins = new Array(cards.length).fill(0);
+    const firsts = new Array(cards.length).fill(0);
+    const firstTimes = [];
+    const bingoTimes = new Float64Array(cards.length);
+
+    for (let run = 0; run < runs; run++) {
+        draw(random);
+
+        // A line completes when its last cell resolves; a card wins at its first complete line
+        let winners = 0;
+        let firstTime = Infinity;
+        cardCells.forEach(({ markets, times }, c) => {
+            let best = Infinity;
+            for (const line of LINES) {
+                if (!line.indices.every(i => isYes(markets[i]))) continue;
+                best = Math.min(best, Math.max(...line.indices.map(i => times[i])));
+            }
+            bingoTimes[c] = best;
+            if (best < Infinity) {
+                winners++;
+                wins[c]++;
+                firstTime = Math.min(firstTime, best);
+            }
+        });
+
+        winnerCounts[winners]++;
+        if (winners > 0) {
+            firstTimes.push(firstTime);
+            const tied = [];
+            bingoTimes.forEach((time, c) => {
+                if (time === firstTime) tied.push(c);
+            });
+            tied.forEach(c => { firsts[c] += 1 / tied.length; });
+        }
+
+        if (onProgress && (run + 1) % SEASON_PROGRESS_EVERY === 0) onProgress(run + 1, runs);
+    }
+
+    firstTimes.sort((a, b) => a - b);
+    const quantile = (q) => firstTimes[Math.min(firstTimes.length - 1, Math.floor(q * firstTimes.length))];
+    const distribution = winnerCounts.map(count => count / runs);
+
+    return {
+        runs,
+        winnerCounts: distribution,
+        expectedWinners: distribution.reduce((sum, p, count) => sum + p * count, 0),
+        noWinnerProb: distribution[0],
+        cards: cards.map((card, c) => ({
+            card_id: card.card_id,
+            user_handle: card.user_handle,
+            winProb: wins[c] / runs,
+            firstProb: firsts[c] / runs
+        })).sort((a, b) => b.firstProb - a.firstProb),
+        firstBingo: firstTimes.length > 0
+            ? {
+                mean: firstTimes.reduce((sum, t) => sum + t, 0) / firstTimes.length,
+                p10: quantile(0.1),
+                median: quantile(0.5),
+                p90: quantile(0.9)
+            }
+            : null
+    };
+}
+
+// ============================================================================
+// WIN PROBABILITY HISTORY FUNCTIONS
+// ============================================================================
+
+// Maximum points in a reconstructed history (chart and leaderboard sparkline)
+export const HISTORY_CHART_POINTS = 300;
+export const HISTORY_SPARKLINE_POINTS = 30;
+
+/**
+ * Convert bets (newest first) to a chronological probability timeline
+ * Multi-choice bets carry the answer they moved; pass answerId to keep only
+ * that answer's bets (its price only changes with them, other answers' bets
+ * in a sum-to-one market aside). Points keep answerId so a whole-market
+ * timeline can be split later with timelineForAnswer.
+ */
+export function betsToTimeline(bets, answerId = null) {
+    return bets
+        .filter(bet => bet.probAfter != null && (!answerId || bet.answerId === answerId))
+        .map(bet => (bet.answerId
+            ? { time: bet.createdTime, prob: bet.probAfter, answerId: bet.answerId }
+            : { time: bet.createdTime, prob: bet.probAfter }))
+        .reverse();
+}
+
+/**
+ * The part of a market timeline for one answer (the whole timeline for binary markets)
+ */
+export function timelineForAnswer(timeline, answerId = null) {
+    if (!timeline || !answerId) return timeline;
+    return timeline.filter(point => point.answerId === answerId);
+}
+
+/**
+ * Reconstruct a card's win probability over time from its markets' bet timelines
+ * Starts from the cell probabilities stored at creation and steps through every
+ * price change in time order. Changes that land in the same time bucket are
+ * applied together and evaluated once, so the series has at most maxPoints points.
+ * @param {Array} grid - Card grid
+ * @param {Array} timelines - Per-cell {time, prob} arrays (ascending), or null
+ * @param {Array} resolutions - Per-cell {resolution, time}, or null
+ * @param {number} createdTime - Card creation timestamp
+ * @param {Object} options - {maxPoints, finalProb, policy} (finalProb appended at now,
+ *   policy for N/A and MKT resolutions)
+ * @returns {Object} {series: [{time, prob}], markers: [{time, prob, index, resolution}]}
+ */
+export function buildWinProbHistory(grid, timelines, resolutions, createdTime, options = {}) {
+    const { maxPoints = HISTORY_CHART_POINTS, finalProb = null, policy = getVoidPolicy() } = options;
+    const now = Date.now();
+
+    // Cell probabilities at card creation
+    const probs = grid.map((cell, i) => (i === FREE_SPACE_INDEX ? 1.0 : cell.prob ?? 0.5));
+
+    const events = [];
+    timelines.forEach((timeline, i) => {
+        if (!timeline || i === FREE_SPACE_INDEX) return;
+        for (const point of timeline) {
+            if (point.time > createdTime) {
+                events.push({ time: point.time, index: i, prob: point.prob });
+            }
+        }
+    });
+    resolutions.forEach((res, i) => {
+        if (!res || !res.time || i === FREE_SPACE_INDEX) return;
+        if (!describeCellResolution(resolutionFields(res.resolution))) return;
+
+        // Voided cells awaiting a replacement fall back to their stored price
+        const resolved = getCellResolved(resolutionFields(res.resolution), policy);
+        const prob = resolved === null ? grid[i].prob ?? 0.5 : resolved ? 1.0 : 0.0;
+        events.push({ time: res.time, index: i, prob, resolution: res.resolution });
+    });
+    events.sort((a, b) => a.time - b.time);
+
+    const bucketMs = Math.max(1, (now - createdTime) / maxPoints);
+    const bucketOf = (time) => Math.floor((time - createdTime) / bucketMs);
+
+    const series = [{ time: createdTime, prob: exactWinProb(probs) }];
+    const markers = [];
+
+    events.forEach((event, k) => {
+        probs[event.index] = event.prob;
+
+        const next = events[k + 1];
+        const lastInBucket = !next || bucketOf(next.time) !== bucketOf(event.time);
+        if (!lastInBucket && !event.resolution) return;
+
+        const prob = exactWinProb(probs);
+        series.push({ time: event.time, prob });
+        if (event.resolution) {
+            markers.push({ time: event.time, prob, index: event.index, resolution: event.resolution });
+        }
+    });
+
+    if (finalProb != null) {
+        series.push({ time: now, prob: finalProb });
+    }
+
+    return { series, markers };
+}
+
+/**
+ * Attach a compact win probability history to each active card (leaderboard sparklines)
+ * @param {Array} cardsWithStats - Output of computeCardStats
+ * @param {Map} marketDataMap - Map of market key -> {timeline, resolution, ...}
+ * @returns {Array} Cards with history (null for inactive cards)
+ */
+export function attachWinProbHistories(cardsWithStats, marketDataMap) {
+    return cardsWithStats.map(card => {
+        if (!card.grid || card.status !== 'active') return { ...card, history: null };
+
+        const timelines = card.grid.map(cell => marketDataMap.get(getMarketKey(cell))?.timeline ?? null);
+        const resolutions = card.grid.map(cell => marketDataMap.get(getMarketKey(cell))?.resolution ?? null);
+        const history = buildWinProbHistory(card.grid, timelines, resolutions, card.created_time, {
+            maxPoints: HISTORY_SPARKLINE_POINTS,
+            finalProb: card.liveWinProb,
+            policy: getVoidPolicy(card.season)
+        });
+
+        return { ...card, history };
+    });
+}
+
+// ============================================================================
+// MARKET ACTIVITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Compute 24-hour statistics from a probability timeline
+ * @param {Array} timeline - Array of {time, prob} objects (ascending order)
+ * @param {number} currentProb - Current probability from live API
+ * @returns {Object} Stats object with prob24hAgo, high24h, low24h, change24h
+ */
+export function computeMarket24hStats(timeline, currentProb) {
+    const now = Date.now();
+    const oneDayAgo = now - 24 * 60 * 60 * 1000;
+
+    if (!timeline || timeline.length === 0) {
+        return {
+            prob24hAgo: null,
+            high24h: null,
+            low24h: null,
+            change24h: null,
+            hasActivity: false
+        };
+    }
+
+    // Find entries in the 24h window
+    const entriesIn24h = timeline.filter(t => t.time >= oneDayAgo);
+
+    // Find prob24hAgo - the probability closest to 24h ago
+    let prob24hAgo;
+    if (entriesIn24h.length === 0) {
+        // No bets in 24h, use the most recent bet before 24h ago
+        const beforeWindow = timeline.filter(t => t.time < oneDayAgo);
+        if (beforeWindow.length > 0) {
+            prob24hAgo = beforeWindow[beforeWindow.length - 1].prob;
+        } else {
+            prob24hAgo = timeline[0].prob;
+        }
+    } else {
+        // Use the first entry in or just before the 24h window
+        const beforeWindow = timeline.filter(t => t.time < oneDayAgo);
+        if (beforeWindow.length > 0) {
+            prob24hAgo = beforeWindow[beforeWindow.length - 1].prob;
+        } else {
+            prob24hAgo = entriesIn24h[0].prob;
+        }
+    }
+
+    // Compute high/low within 24h window (include currentProb)
+    let high24h, low24h;
+    if (entriesIn24h.length > 0) {
+        const probs24h = entriesIn24h.map(t => t.prob);
+        probs24h.push(currentProb); // Include current prob in range
+        high24h = Math.max(...probs24h);
+        low24h = Math.min(...probs24h);
+    } else {
+        // No activity in 24h
+        high24h = currentProb;
+        low24h = currentProb;
+    }
+
+    const change24h = currentProb - prob24hAgo;
+
+    return {
+        prob24hAgo,
+        high24h,
+        low24h,
+        change24h,
+        hasActivity: entriesIn24h.length > 0
+    };
+}
+
+/**
+ * Key for a cell's market: the slug, plus the answer for multi-choice cells
+ * (answers of one market are separate markets for bingo purposes)
+ */
+export function getMarketKey(cell) {
+    return cell.answer_id ? `${cell.slug}#${cell.answer_id}` : cell.slug;
+}
+
+/**
+ * Collect all unique markets across all cards
+ * @param {Array} cards - Array of card objects
+ * @returns {Map} Map of market key -> {key, slug, answerId, answerText, question, cardIds, currentProb, url, firstCardTime}
+ */
+export function collectUniqueMarkets(cards) {
+    const markets = new Map();
+
+    for (const card of cards) {
+        if (!card.grid) continue;
+
+        for (let i = 0; i < card.grid.length; i++) {
+            const cell = card.grid[i];
+            if (!cell.slug || i === FREE_SPACE_INDEX) continue;
+
+            const key = getMarketKey(cell);
+            if (!markets.has(key)) {
+                markets.set(key, {
+                    key,
+                    slug: cell.slug,
+                    answerId: cell.answer_id ?? null,
+                    answerText: cell.answer_text ?? null,
+                    question: cell.question,
+                    cardIds: [],
+                    cardHandles: [],
+                    currentProb: cell.prob, // Will be updated with live
+                    url: cell.url || `https://manifold.markets/${cell.slug}`,
+                    resolved: cell.resolved,
+                    firstCardTime: null, // Earliest created_time of the cards holding it
+                    contractId: null // Will be filled when fetching live
+                });
+            }
+
+            const market = markets.get(key);
+            if (!market.cardIds.includes(card.card_id)) {
+                market.cardIds.push(card.card_id);
+                market.cardHandles.push(card.user_handle);
+            }
+            if (card.created_time != null && (market.firstCardTime == null || card.created_time < market.firstCardTime)) {
+                market.firstCardTime = card.created_time;
+            }
+        }
+    }
+
+    return markets;
+}
+
+/**
+ * Markets shared by each pair of cards
+ * @param {Map} markets - Output of collectUniqueMarkets
+ * @returns {Array} [{source, target, keys}] card ID pairs sharing at least one market, most shared first
+ */
+export function computeCardOverlap(markets) {
+    const pairs = new Map();
+
+    for (const market of markets.values()) {
+        const ids = market.cardIds;
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const [source, target] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+                const pairKey = `${source}|${target}`;
+                if (!pairs.has(pairKey)) pairs.set(pairKey, { source, target, keys: [] });
+                pairs.get(pairKey).keys.push(market.key);
+            }
+        }
+    }
+
+    return [...pairs.values()].sort((a, b) => b.keys.length - a.keys.length);
+}
+
+// Report kingmaker progress every N markets
+const KINGMAKER_PROGRESS_EVERY = 25;
+
+/**
+ * How much each unresolved market moves the whole field: the win probability
+ * of every active card holding it, with that market's cells set to YES and
+ * to NO in the card's live probabilities. Summed over cards these are changes
+ * in the expected number of winners.
+ * @param {Array} cards - Cards with grids
+ * @param {Map} marketDataMap - Market key -> live data (as for computeCardStats)
+ * @param {Array} markets - Unresolved markets ({key, cardIds, ...})
+ * @param {Object} options - {onProgress(done, total)}
+ * @returns {Array} [{market, ifYes, ifNo, swing, cards}] largest swing first, where
+ *   ifYes/ifNo are the changes in expected winners and swing = ifYes - ifNo;
+ *   cards are [{card_id, user_handle, current, ifYes, ifNo, swing}] (win probabilities), largest swing first
+ */
+export function computeKingmakers(cards, marketDataMap, markets, { onProgress = null } = {}) {
+    const activeCards = cards.filter(card => card.grid && card.status === 'active');
+    const stats = new Map(computeCardStats(activeCards, marketDataMap).map(card => [card.card_id, card]));
+
+    // A card's win probability with one market's cells settled
+    const winProbIf = (card, key, prob) => exactWinProb(card.liveProbs.map((p, i) =>
+        (i !== FREE_SPACE_INDEX && getMarketKey(card.grid[i]) === key ? prob : p)));
+
+    const rows = markets.map((market, m) => {
+        const holders = market.cardIds.map(id => stats.get(id)).filter(Boolean);
+        const cardSwings = holders.map(card => {
+            const ifYes = winProbIf(card, market.key, 1);
+            const ifNo = winProbIf(card, market.key, 0);
+            return {
+                card_id: card.card_id,
+                user_handle: card.user_handle,
+                current: card.liveWinProb,
+                ifYes,
+                ifNo,
+                swing: ifYes - ifNo
+            };
+        }).sort((a, b) => b.swing - a.swing);
+
+        if (onProgress && (m + 1) % KINGMAKER_PROGRESS_EVERY === 0) {
+            onProgress(m + 1, markets.length);
+        }
+
+        const total = (delta) => cardSwings.reduce((sum, card) => sum + delta(card), 0);
+        return {
+            market,
+            ifYes: total(card => card.ifYes - card.current),
+            ifNo: total(card => card.ifNo - card.current),
+            swing: total(card => card.swing),
+            cards: cardSwings
+        };
+    });
+
+    return rows.sort((a, b) => b.swing - a.swing);
+}
+
+/**
+ * Sort markets by a column (stable sort - preserves previous order for ties)
+ */
+export function sortMarkets(markets, column, direction) {
+    const multiplier = direction === 'desc' ? -1 : 1;
+
+    return [...markets].sort((a, b) => {
+        let valA, valB;
+
+        switch (column) {
+            case 'resolved':
+                // Resolved first (desc) or last (asc)
+                valA = a.isResolved ? 1 : 0;
+                valB = b.isResolved ? 1 : 0;
+                break;
+            case 'question':
+                valA = (a.question || '').toLowerCase();
+                valB = (b.question || '').toLowerCase();
+                return multiplier * valA.localeCompare(valB);
+            case 'prob':
+                // Resolved markets sort at 100% (YES) or 0% (NO)
+                valA = a.isResolved ? (a.resolution === 'YES' ? 1.0 : 0.0) : (a.currentProb ?? 0);
+                valB = b.isResolved ? (b.resolution === 'YES' ? 1.0 : 0.0) : (b.currentProb ?? 0);
+                break;
+            case 'change':
+                // Sort by actual value (biggest gainers first when desc)
+                valA = a.stats?.change24h ?? 0;
+                valB = b.stats?.change24h ?? 0;
+                break;
+            case 'range':
+                // Sort by range width (high - low)
+                valA = (a.stats?.high24h ?? 0) - (a.stats?.low24h ?? 0);
+                valB = (b.stats?.high24h ?? 0) - (b.stats?.low24h ?? 0);
+                break;
+            case 'cards':
+                valA = a.cardIds?.length ?? 0;
+                valB = b.cardIds?.length ?? 0;
+                break;
+            default:
+                return 0;
+        }
+
+        if (valA === valB) return 0;
+        return multiplier * (valA > valB ? 1 : -1);
+    });
+}
+
+// ============================================================================
+// SCENARIO FUNCTIONS
+// ============================================================================
+
+/**
+ * Encode the scenario as a compact URL value ("3y,17n")
+ */
+export function encodeScenario(scenario) {
+    return [...scenario.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([index, yes]) => `${index}${yes ? 'y' : 'n'}`)
+        .join(',');
+}
+
+/**
+ * Decode a scenario URL value, ignoring the free space and resolved cells
+ */
+export function decodeScenario(value, grid) {
+    const scenario = new Map();
+    if (!value) return scenario;
+
+    for (const part of value.split(',')) {
+        const match = part.match(/^(\d+)([yn])$/);
+        if (!match) continue;
+
+        const index = parseInt(match[1]);
+        if (index === FREE_SPACE_INDEX || !grid[index]) continue;
+        if (describeCellResolution(grid[index])) continue;
+
+        scenario.set(index, match[2] === 'y');
+    }
+
+    return scenario;
+}
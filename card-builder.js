@@ -0,0 +1,242 @@
+/**
+ * Manifold Bingo 2026 - Card Builder
+ *
+ * Assembles a card from the eligible-market pool (cards/markets.json) so
+ * its win probability lands on a target. Cards are priced like the existing
+ * ones: the independent-lines approximation over the cell prices, free space
+ * at its market price (the exact formula runs a few points lower, so the two
+ * don't compare). Starts from a random grid that
+ * honours must-include markets and the topic mix, then hill-climbs by
+ * swapping markets in and out of the pool and rearranging cells.
+ *
+ *   import { buildCard } from './card-builder.js';
+ *   const { card } = buildCard(marketsData, { target: 0.45 });
+ *
+ * No DOM or network dependencies (runs in Node, workers and the page).
+ */
+
+import { FREE_SPACE_INDEX, cardPriceWinProb } from './bingo-core.js';
+
+// Default search settings
+export const DEFAULT_TOLERANCE = 0.005;
+export const DEFAULT_MAX_ITERATIONS = 20000;
+
+// Chance that a search step rearranges cells rather than swapping a market
+const LAYOUT_MOVE_CHANCE = 0.3;
+
+// Topics inferred from question text (first match wins; markets may set `topic` directly)
+export const MARKET_TOPICS = [
+    { id: 'ai', label: 'AI', pattern: /\b(ai|agi|llms?|gpt[\w.-]*|openai|anthropic|claude|gemini|deepmind|chatgpt|machine learning|neural|model)\b/i },
+    { id: 'politics', label: 'Politics', pattern: /\b(trump|biden|vance|harris|democrats?|republicans?|gop|senate|congress|election|governor|president|supreme court|mayor|impeach\w*|primary)\b/i },
+    { id: 'world', label: 'World', pattern: /\b(russia|ukraine|china|taiwan|israel|iran|gaza|war|nato|putin|zelensky\w*|venezuela\w*|india|eu|un)\b/i },
+    { id: 'economy', label: 'Economy', pattern: /\b(recession|inflation|stocks?|s&p|nasdaq|fed|interest rates?|gdp|tariffs?|unemployment|ipo|market cap|bitcoin|btc|ethereum|crypto\w*)\b/i },
+    { id: 'science', label: 'Science & Tech', pattern: /\b(spacex|nasa|starship|artemis|moon|mars|launch|vaccine|fusion|quantum|climate|tesla|apple|iphone|google|microsoft)\b/i },
+    { id: 'sports', label: 'Sports', pattern: /\b(world cup|fifa|nba|nfl|mlb|olympics?|super bowl|champions?|f1|formula 1|tennis|chess)\b/i },
+    { id: 'culture', label: 'Culture', pattern: /\b(movie|film|album|song|oscars?|grammy|taylor swift|netflix|youtube|tiktok|twitter|musk|book|game|gta\s?6?)\b/i }
+];
+export const OTHER_TOPIC = 'other';
+
+/**
+ * Topic ID for a market (its own `topic` field, else inferred from the question)
+ */
+export function getMarketTopic(market) {
+    if (market.topic) return market.topic;
+    const topic = MARKET_TOPICS.find(t => t.pattern.test(market.question || ''));
+    return topic ? topic.id : OTHER_TOPIC;
+}
+
+/**
+ * Filter markets by the pool's eligibility criteria
+ * @param {Array} markets - Markets from markets.json
+ * @param {Object} criteria - {min_traders, min_close_ms, max_close_ms} (any may be missing)
+ */
+export function filterEligibleMarkets(markets, criteria = {}) {
+    const { min_traders: minTraders, min_close_ms: minClose, max_close_ms: maxClose } = criteria;
+
+    return markets.filter(m => {
+        if (m.probability == null) return false;
+        if (minTraders != null && (m.trader_count ?? 0) < minTraders) return false;
+        if (minClose != null && (m.close_time == null || m.close_time < minClose)) return false;
+        if (maxClose != null && (m.close_time == null || m.close_time > maxClose)) return false;
+        return true;
+    });
+}
+
+/**
+ * Build a card whose win probability matches a target
+ * @param {Object} marketsData - Contents of markets.json ({criteria, markets})
+ * @param {Object} options
+ * @param {number} options.target - Target win probability (0-1)
+ * @param {number} options.tolerance - Acceptable |win prob - target|
+ * @param {Array} options.mustInclude - Slugs that must appear on the card
+ * @param {Object} options.topicMix - Minimum cells per topic, e.g. {ai: 5, politics: 3}
+ * @param {Object} options.criteria - Overrides marketsData.criteria
+ * @param {Object} options.card - Extra card fields (card_id, user_handle, ...)
+ * @param {number} options.maxIterations - Search budget
+ * @param {Function} options.random - Random source in [0, 1) (for reproducible builds)
+ * @returns {Object} {card, winProb, error, withinTolerance, iterations}
+ * @throws {Error} If the options can't be satisfied by the pool
+ */
+export function buildCard(marketsData, options) {
+    const {
+        target,
+        tolerance = DEFAULT_TOLERANCE,
+        mustInclude = [],
+        topicMix = {},
+        criteria = marketsData.criteria || {},
+        card: cardFields = {},
+        maxIterations = DEFAULT_MAX_ITERATIONS,
+        random = Math.random
+    } = options;
+
+    if (!(target > 0 && target < 1)) {
+        throw new Error('Target win probability must be between 0 and 1');
+    }
+
+    const pool = filterEligibleMarkets(marketsData.markets || [], criteria);
+    const bySlug = new Map(pool.map(m => [m.slug, m]));
+
+    const required = [...new Set(mustInclude)].map(slug => {
+        const market = bySlug.get(slug);
+        if (!market) throw new Error(`Market "${slug}" is not in the eligible pool`);
+        return market;
+    });
+
+    // The free space holds the surest market (it counts as filled either way)
+    const center = pool
+        .filter(m => !required.includes(m))
+        .reduce((best, m) => (!best || m.probability > best.probability ? m : best), null);
+    if (!center) throw new Error('The eligible pool is empty');
+
+    const cellCount = 24;
+    const topicCounts = Object.values(topicMix).reduce((acc, n) => acc + n, 0);
+    if (required.length > cellCount) {
+        throw new Error(`At most ${cellCount} markets can be required (got ${required.length})`);
+    }
+    if (topicCounts > cellCount) {
+        throw new Error(`Topic mix asks for ${topicCounts} cells but a card has ${cellCount}`);
+    }
+
+    const topicOf = new Map(pool.map(m => [m, getMarketTopic(m)]));
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    // Initial selection: required markets, then topic minimums, then anything
+    const chosen = [...required];
+    const available = () => pool.filter(m => m !== center && !chosen.includes(m));
+    for (const [topic, count] of Object.entries(topicMix)) {
+        let have = chosen.filter(m => topicOf.get(m) === topic).length;
+        while (have < count) {
+            const candidates = available().filter(m => topicOf.get(m) === topic);
+            if (candidates.length === 0) {
+                throw new Error(`Not enough eligible "${topic}" markets for the topic mix`);
+            }
+            chosen.push(pick(candidates));
+            have++;
+        }
+    }
+    while (chosen.length < cellCount) {
+        const candidates = available();
+        if (candidates.length === 0) throw new Error('Not enough eligible markets to fill a card');
+        chosen.push(pick(candidates));
+    }
+    if (chosen.length > cellCount) {
+        throw new Error('Required markets and topic mix need more than 24 cells');
+    }
+
+    // Layout: grid positions (excluding the free space) in random order
+    const positions = [...Array(25).keys()].filter(i => i !== FREE_SPACE_INDEX);
+    shuffle(positions, random);
+    const grid = new Array(25);
+    grid[FREE_SPACE_INDEX] = center;
+    chosen.forEach((m, k) => { grid[positions[k]] = m; });
+
+    const probsOf = (g) => g.map(m => m.probability);
+    let probs = probsOf(grid);
+    let winProb = cardPriceWinProb(probs);
+    let error = Math.abs(winProb - target);
+
+    const topicTotals = (g) => {
+        const totals = {};
+        g.forEach((m, i) => {
+            if (i === FREE_SPACE_INDEX) return;
+            const topic = topicOf.get(m);
+            totals[topic] = (totals[topic] || 0) + 1;
+        });
+        return totals;
+    };
+    const totals = topicTotals(grid);
+
+    let iterations = 0;
+    while (error > tolerance && iterations < maxIterations) {
+        iterations++;
+
+        const a = pick(positions);
+        const next = [...grid];
+        let swapIn = null;
+
+        if (random() < LAYOUT_MOVE_CHANCE) {
+            // Rearrange: swap two cells
+            const b = pick(positions);
+            if (a === b) continue;
+            [next[a], next[b]] = [next[b], next[a]];
+        } else {
+            // Replace a market with one from the pool
+            const out = grid[a];
+            if (required.includes(out)) continue;
+
+            const outTopic = topicOf.get(out);
+            const keepTopic = (topicMix[outTopic] ?? 0) >= totals[outTopic];
+            swapIn = pick(pool);
+            if (swapIn === center || next.includes(swapIn)) continue;
+            if (keepTopic && topicOf.get(swapIn) !== outTopic) continue;
+            next[a] = swapIn;
+        }
+
+        const nextProbs = probsOf(next);
+        const nextWinProb = cardPriceWinProb(nextProbs);
+        const nextError = Math.abs(nextWinProb - target);
+        if (nextError > error) continue;
+
+        if (swapIn) {
+            totals[topicOf.get(grid[a])]--;
+            totals[topicOf.get(swapIn)] = (totals[topicOf.get(swapIn)] || 0) + 1;
+        }
+        grid.splice(0, 25, ...next);
+        probs = nextProbs;
+        winProb = nextWinProb;
+        error = nextError;
+    }
+
+    const card = {
+        card_id: null,
+        user_handle: null,
+        answer_id: null,
+        status: 'pending_fill',
+        win_probability: winProb,
+        target_win_prob: target,
+        purchase_price: null,
+        purchase_prob: null,
+        created_time: Date.now(),
+        ...cardFields,
+        grid: grid.map(m => ({
+            slug: m.slug,
+            question: m.question,
+            prob: m.probability,
+            resolved: null,
+            url: m.url || `https://manifold.markets/${m.slug}`
+        }))
+    };
+
+    return { card, winProb, error, withinTolerance: error <= tolerance, iterations };
+}
+
+/**
+ * Fisher-Yates shuffle in place
+ */
+function shuffle(list, random) {
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+}
@@ -0,0 +1,161 @@
+/**
+ * Manifold Bingo 2026 - Card Index
+ *
+ * Builds cards/index.json from the per-card files (the files are the
+ * source of truth) and reports where an existing index has drifted from
+ * them. The index comes in two formats:
+ * - full: every card with its grid (one request loads the whole site)
+ * - slim: summary fields only ("slim": true); grids load from cards/<id>.json
+ *
+ *   import { buildCardIndex, diffCardIndex } from './card-index.js';
+ *
+ * No DOM or network dependencies.
+ */
+
+// Card fields kept in a slim index
+export const INDEX_SUMMARY_FIELDS = [
+    'card_id',
+    'user_handle',
+    'answer_id',
+    'status',
+    'win_probability',
+    'target_win_prob',
+    'purchase_price',
+    'purchase_prob',
+    'created_time',
+    'card_type',
+    'season',
+    'external_link',
+    'external_link_label'
+];
+
+/**
+ * Build an index from card files
+ * @param {Array} cards - Card objects (one per file)
+ * @param {Object} options - {slim, updatedAt}
+ * @returns {Object} {updated_at, slim?, cards} with cards in creation order
+ */
+export function buildCardIndex(cards, { slim = false, updatedAt = Date.now() } = {}) {
+    const sorted = [...cards].sort((a, b) => (a.created_time ?? 0) - (b.created_time ?? 0));
+
+    const index = { updated_at: updatedAt };
+    if (slim) index.slim = true;
+    index.cards = slim ? sorted.map(summarizeCard) : sorted;
+    return index;
+}
+
+/**
+ * Summary fields of a card (for a slim index)
+ */
+export function summarizeCard(card) {
+    const summary = {};
+    for (const field of INDEX_SUMMARY_FIELDS) {
+        if (card[field] !== undefined) summary[field] = card[field];
+    }
+    return summary;
+}
+
+/**
+ * Whether an index holds summaries only (grids must be loaded from the card files)
+ */
+export function isSlimIndex(index) {
+    return index.slim === true || (index.cards || []).some(card => !card.grid);
+}
+
+/**
+ * Compare an index with the card files
+ * Slim entries are compared on summary fields only.
+ * @param {Object} index - Contents of index.json
+ * @param {Array} cards - Card objects from the card files
+ * @returns {Array} Drift entries: {cardId, kind: 'missing-file'|'missing-entry'|'duplicate-entry'|'changed', fields, cells}
+ */
+export function diffCardIndex(index, cards) {
+    const drift = [];
+    const files = new Map(cards.map(card => [card.card_id, card]));
+    const seen = new Set();
+
+    for (const entry of index.cards || []) {
+        if (seen.has(entry.card_id)) {
+            drift.push({ cardId: entry.card_id, kind: 'duplicate-entry', fields: [], cells: [] });
+            continue;
+        }
+        seen.add(entry.card_id);
+
+        const card = files.get(entry.card_id);
+        if (!card) {
+            drift.push({ cardId: entry.card_id, kind: 'missing-file', fields: [], cells: [] });
+            continue;
+        }
+
+        const fields = entry.grid
+            ? [...new Set([...Object.keys(entry), ...Object.keys(card)])].filter(f => f !== 'grid')
+            : INDEX_SUMMARY_FIELDS;
+        const changedFields = fields.filter(f => !sameValue(entry[f], card[f]));
+
+        const changedCells = [];
+        if (entry.grid) {
+            const size = Math.max(entry.grid.length, card.grid?.length ?? 0);
+            for (let i = 0; i < size; i++) {
+                if (!sameValue(entry.grid[i], card.grid?.[i])) changedCells.push(i);
+            }
+        }
+
+        if (changedFields.length > 0 || changedCells.length > 0) {
+            drift.push({ cardId: entry.card_id, kind: 'changed', fields: changedFields, cells: changedCells });
+        }
+    }
+
+    for (const card of cards) {
+        if (!seen.has(card.card_id)) {
+            drift.push({ cardId: card.card_id, kind: 'missing-entry', fields: [], cells: [] });
+        }
+    }
+
+    return drift;
+}
+
+/**
+ * Describe one drift entry
+ */
+export function describeDrift(entry) {
+    switch (entry.kind) {
+        case 'missing-file':
+            return 'listed in index.json but has no card file';
+        case 'missing-entry':
+            return 'card file is not in index.json';
+        case 'duplicate-entry':
+            return 'listed more than once in index.json';
+        default: {
+            const parts = [];
+            if (entry.fields.length > 0) parts.push(`fields ${entry.fields.join(', ')}`);
+            if (entry.cells.length > 0) parts.push(`cells ${entry.cells.join(', ')}`);
+            return `index entry differs from its file (${parts.join('; ')})`;
+        }
+    }
+}
+
+/**
+ * Readable drift report
+ */
+export function formatIndexDrift(drift) {
+    if (drift.length === 0) return 'index.json matches the card files';
+
+    return [
+        `index.json differs from the card files for ${drift.length} card${drift.length !== 1 ? 's' : ''}:`,
+        ...drift.map(entry => `  ${entry.cardId}: ${describeDrift(entry)}`)
+    ].join('\n');
+}
+
+/**
+ * Deep equality for JSON values (key order doesn't matter)
+ */
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => sameValue(a[key], b[key]));
+}
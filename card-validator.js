@@ -0,0 +1,257 @@
+/**
+ * Manifold Bingo 2026 - Card Validator
+ *
+ * Rule checks for cards/*.json and cards/index.json before publishing:
+ * grid shape, duplicate markets, membership in the eligible pool
+ * (cards/markets.json) and its criteria, win probability consistency
+ * and known status values, plus drift between index.json and the files.
+ *
+ *   import { validateCardSet, formatValidationReport } from './card-validator.js';
+ *   const report = validateCardSet({ cards, index, marketsData });
+ *   console.log(formatValidationReport(report));
+ *
+ * No DOM or network dependencies; callers load the JSON (the CLI from
+ * disk, validate.html over fetch).
+ */
+
+import { FREE_SPACE_INDEX, CARD_STATUS_LABELS, SEASONS, VOID_RESOLUTIONS, cardPriceWinProb, getMarketKey } from './bingo-core.js';
+import { filterEligibleMarkets } from './card-builder.js';
+import { diffCardIndex, describeDrift } from './card-index.js';
+
+// Allowed gap between stored win_probability and the stored cell probabilities
+export const WIN_PROB_TOLERANCE = 0.01;
+
+const GRID_SIZE = 25;
+
+/**
+ * Validate one card
+ * @param {Object} card - Card JSON
+ * @param {Object} context - {marketsData, file} (marketsData is optional)
+ * @returns {Array} Issues: {level: 'error'|'warning'|'info', code, message, cardId, file, cellIndex}
+ */
+export function validateCard(card, context = {}) {
+    const { marketsData = null, file = null } = context;
+    const issues = [];
+    const cardId = card?.card_id ?? null;
+    const report = (level, code, message, cellIndex = null) => {
+        issues.push({ level, code, message, cardId, file, cellIndex });
+    };
+
+    if (!card || typeof card !== 'object') {
+        report('error', 'not-a-card', 'Card is not a JSON object');
+        return issues;
+    }
+
+    if (!card.card_id) report('error', 'missing-field', 'Missing card_id');
+    if (!card.user_handle) report('error', 'missing-field', 'Missing user_handle');
+
+    if (!(card.status in CARD_STATUS_LABELS)) {
+        report('error', 'unknown-status',
+            `Unknown status "${card.status}" (expected ${Object.keys(CARD_STATUS_LABELS).join(', ')})`);
+    }
+
+    if (card.season != null && !(card.season in SEASONS)) {
+        report('error', 'unknown-season', `Unknown season ${JSON.stringify(card.season)} (expected ${Object.keys(SEASONS).join(', ')})`);
+    }
+
+    const grid = card.grid;
+    if (!Array.isArray(grid)) {
+        report('error', 'missing-grid', 'Missing grid');
+        return issues;
+    }
+    if (grid.length !== GRID_SIZE) {
+        report('error', 'grid-size', `Grid has ${grid.length} cells (expected ${GRID_SIZE})`);
+    }
+    if (!grid[FREE_SPACE_INDEX]) {
+        report('error', 'free-space', `No cell at the free space (index ${FREE_SPACE_INDEX})`);
+    }
+    grid.forEach((cell, i) => {
+        if (cell?.free && i !== FREE_SPACE_INDEX) {
+            report('error', 'free-space', `Free space must be at index ${FREE_SPACE_INDEX}`, i);
+        }
+    });
+
+    // Cells: required fields, probabilities, duplicates
+    const seen = new Map();
+    grid.forEach((cell, i) => {
+        if (!cell || typeof cell !== 'object') {
+            report('error', 'bad-cell', 'Cell is not a JSON object', i);
+            return;
+        }
+        if (!cell.slug) report('error', 'missing-field', 'Cell has no slug', i);
+        if (typeof cell.prob !== 'number' || cell.prob < 0 || cell.prob > 1) {
+            report('error', 'bad-prob', `Cell probability ${cell.prob} is not between 0 and 1`, i);
+        }
+        if (cell.resolved !== null && cell.resolved !== undefined && typeof cell.resolved !== 'boolean') {
+            report('error', 'bad-resolved', `Cell resolved must be true, false or null (got ${JSON.stringify(cell.resolved)})`, i);
+        }
+        // N/A and MKT cells record the resolution instead of a YES/NO flag
+        if (cell.resolution != null) {
+            if (!VOID_RESOLUTIONS.includes(cell.resolution)) {
+                report('error', 'bad-resolution', `Cell resolution must be ${VOID_RESOLUTIONS.join(' or ')} (got ${JSON.stringify(cell.resolution)})`, i);
+            } else if (cell.resolved === true || cell.resolved === false) {
+                report('error', 'bad-resolution', `Cell resolved ${cell.resolution} but also marked ${cell.resolved ? 'YES' : 'NO'}`, i);
+            }
+        }
+
+        // Multi-choice cells share a slug, so key them by answer
+        const key = getMarketKey(cell);
+        if (seen.has(key)) {
+            report('error', 'duplicate-market', `Same ${cell.answer_id ? 'answer' : 'market'} as cell ${seen.get(key)}: ${cell.slug}`, i);
+        } else {
+            seen.set(key, i);
+        }
+    });
+
+    // Pool membership and eligibility criteria
+    if (marketsData) {
+        checkAgainstPool(card, marketsData, report);
+    }
+
+    // Stored win probability vs stored cell probabilities, by the formula cards are priced with
+    const probs = grid.map(cell => cell?.prob);
+    if (typeof card.win_probability !== 'number') {
+        report('error', 'missing-field', 'Missing win_probability');
+    } else if (probs.length === GRID_SIZE && probs.every(p => typeof p === 'number')) {
+        const computed = cardPriceWinProb(probs);
+        if (Math.abs(computed - card.win_probability) > WIN_PROB_TOLERANCE) {
+            report('warning', 'win-prob-mismatch',
+                `win_probability ${pct(card.win_probability)} does not match the cell probabilities (${pct(computed)})`);
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Check cells against the eligible pool, recording issues through report()
+ */
+function checkAgainstPool(card, marketsData, report) {
+    // Featured cards are built from a single multi-choice market outside the pool
+    if (card.card_type === 'featured') {
+        report('info', 'featured-card', 'Featured card: pool checks skipped');
+        return;
+    }
+
+    const bySlug = new Map((marketsData.markets || []).map(m => [m.slug, m]));
+    const eligible = new Set(filterEligibleMarkets(marketsData.markets || [], marketsData.criteria || {}));
+
+    // The pool is a snapshot; markets on cards built before it may have dropped out since
+    const poolIsNewer = marketsData.fetched_at && card.created_time && card.created_time < marketsData.fetched_at;
+    const missingLevel = poolIsNewer ? 'warning' : 'error';
+
+    card.grid.forEach((cell, i) => {
+        if (!cell?.slug || i === FREE_SPACE_INDEX) return;
+
+        const market = bySlug.get(cell.slug);
+        if (!market) {
+            report(missingLevel, 'not-in-pool',
+                `Market not in markets.json${poolIsNewer ? ' (pool refreshed after the card was created)' : ''}: ${cell.slug}`, i);
+            return;
+        }
+        if (cell.answer_id && market.answers && !market.answers.some(a => a.id === cell.answer_id)) {
+            report('error', 'unknown-answer', `Answer ${cell.answer_id} not found in ${cell.slug}`, i);
+        }
+        if (!eligible.has(market)) {
+            report(missingLevel, 'fails-criteria', `Market fails the pool criteria (${describeCriteriaFailure(market, marketsData.criteria)}): ${cell.slug}`, i);
+        }
+    });
+}
+
+/**
+ * Which criterion a market fails, for the report
+ */
+function describeCriteriaFailure(market, criteria = {}) {
+    const reasons = [];
+    if (criteria.min_traders != null && (market.trader_count ?? 0) < criteria.min_traders) {
+        reasons.push(`${market.trader_count ?? 0} traders < ${criteria.min_traders}`);
+    }
+    if (criteria.min_close_ms != null && !(market.close_time >= criteria.min_close_ms)) {
+        reasons.push('closes too soon');
+    }
+    if (criteria.max_close_ms != null && !(market.close_time <= criteria.max_close_ms)) {
+        reasons.push('closes too late');
+    }
+    if (market.probability == null) reasons.push('no probability');
+    return reasons.join(', ') || 'unknown';
+}
+
+/**
+ * Validate card files and the index together
+ * @param {Object} input
+ * @param {Array} input.cards - [{file, card}] for each card file
+ * @param {Object} input.index - Contents of index.json (optional)
+ * @param {Object} input.marketsData - Contents of markets.json (optional)
+ * @returns {Object} {issues, cardCount, marketCount, errors, warnings}
+ */
+export function validateCardSet({ cards, index = null, marketsData = null }) {
+    const issues = [];
+
+    for (const { file, card } of cards) {
+        issues.push(...validateCard(card, { marketsData, file }));
+    }
+
+    if (index) {
+        if (!Array.isArray(index.cards)) {
+            issues.push({ level: 'error', code: 'missing-field', message: 'index.json has no cards array', cardId: null, file: 'index.json', cellIndex: null });
+        }
+
+        const validCards = cards.map(c => c.card).filter(card => card?.card_id);
+        const entries = new Map((index.cards || []).map(entry => [entry.card_id, entry]));
+
+        for (const entry of diffCardIndex(index, validCards)) {
+            // Drifted entries are warnings: regenerating the index fixes them
+            const level = entry.kind === 'changed' ? 'warning' : 'error';
+            issues.push({ level, code: `index-${entry.kind}`, message: describeDrift(entry), cardId: entry.cardId, file: 'index.json', cellIndex: null });
+
+            // An entry without a file is the only copy of the card, so check it in full
+            if (entry.kind === 'missing-file') {
+                issues.push(...validateCard(entries.get(entry.cardId), { marketsData, file: 'index.json' }));
+            }
+        }
+    }
+
+    return {
+        issues,
+        cardCount: cards.length,
+        marketCount: marketsData?.markets?.length ?? null,
+        errors: issues.filter(i => i.level === 'error').length,
+        warnings: issues.filter(i => i.level === 'warning').length
+    };
+}
+
+/**
+ * Readable text report, grouped by file
+ * @param {Object} report - Output of validateCardSet
+ * @param {Object} options - {verbose} to include info-level notes
+ */
+export function formatValidationReport(report, { verbose = false } = {}) {
+    const lines = [
+        `Validated ${report.cardCount} card${report.cardCount !== 1 ? 's' : ''}` +
+            (report.marketCount != null ? ` against ${report.marketCount} eligible markets` : '')
+    ];
+
+    const byFile = new Map();
+    for (const issue of report.issues) {
+        if (issue.level === 'info' && !verbose) continue;
+        const key = issue.file || issue.cardId || '(unknown)';
+        if (!byFile.has(key)) byFile.set(key, []);
+        byFile.get(key).push(issue);
+    }
+
+    for (const [file, issues] of byFile) {
+        lines.push('', file);
+        for (const issue of issues) {
+            const where = issue.cellIndex != null ? `cell ${issue.cellIndex}: ` : '';
+            const who = issue.file === 'index.json' && issue.cardId ? `${issue.cardId}: ` : '';
+            lines.push(`  ${issue.level.padEnd(7)}  ${who}${where}${issue.message}`);
+        }
+    }
+
+    lines.push('', `${report.errors} error${report.errors !== 1 ? 's' : ''}, ${report.warnings} warning${report.warnings !== 1 ? 's' : ''}`);
+    return lines.join('\n');
+}
+
+function pct(prob) {
+    return `${(prob * 100).toFixed(1)}%`;
+}
@@ -0,0 +1,22 @@
+/**
+ * Manifold Bingo 2026 - Kingmaker Worker
+ *
+ * Runs computeKingmakers (bingo-core.js) off the main thread so the index
+ * page stays responsive. Loaded as a module worker.
+ *
+ * Message in:  { cards, marketDataMap, markets }
+ * Messages out: { type: 'progress', done, total }
+ *               { type: 'result', rows }
+ */
+
+import { computeKingmakers } from './bingo-core.js';
+
+self.onmessage = (e) => {
+    const { cards, marketDataMap, markets } = e.data;
+
+    const rows = computeKingmakers(cards, marketDataMap, markets, {
+        onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+    });
+
+    self.postMessage({ type: 'result', rows });
+};
@@ -0,0 +1,236 @@
+/**
+ * Manifold Bingo 2026 - Live Price Feed
+ *
+ * Streams market updates over Manifold's WebSocket API and falls back to
+ * interval polling when the socket is unavailable. The transport is
+ * pluggable: point createWebSocketTransport at another URL (such as a local
+ * mock server), or pass any object with the same open/subscribe/close shape.
+ *
+ * Updates are normalized to {contractId, answerId, prob, time}.
+ *
+ * Load before app.js.
+ */
+
+const LIVE_WS_URL = 'wss://api.manifold.markets/ws';
+
+// Keepalive for the socket (Manifold drops idle connections)
+const LIVE_PING_INTERVAL_MS = 30 * 1000;
+
+// Reconnect attempts before falling back to polling
+const LIVE_MAX_RECONNECTS = 3;
+const LIVE_RECONNECT_BASE_MS = 1000;
+
+// Default polling interval for the fallback
+const LIVE_POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * WebSocket transport speaking Manifold's subscribe/broadcast protocol
+ * @param {string} url - Socket URL
+ * @param {Function} SocketImpl - WebSocket constructor (defaults to the browser's)
+ * @returns {Object} Transport with open(handlers), subscribe(topics), close()
+ */
+function createWebSocketTransport(url = LIVE_WS_URL, SocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null) {
+    let socket = null;
+    let pingTimer = null;
+    let txid = 0;
+    const topics = [];
+
+    const send = (message) => {
+        if (socket && socket.readyState === 1) {
+            socket.send(JSON.stringify({ ...message, txid: txid++ }));
+        }
+    };
+
+    return {
+        /**
+         * Connect; handlers are {onOpen, onMessage(topic, data), onClose(error)}
+         */
+        open(handlers) {
+            if (!SocketImpl) {
+                handlers.onClose(new Error('WebSocket not supported'));
+                return;
+            }
+
+            try {
+                socket = new SocketImpl(url);
+            } catch (e) {
+                handlers.onClose(e);
+                return;
+            }
+
+            socket.onopen = () => {
+                if (topics.length > 0) send({ type: 'subscribe', topics });
+                pingTimer = setInterval(() => send({ type: 'ping' }), LIVE_PING_INTERVAL_MS);
+                handlers.onOpen();
+            };
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (e) {
+                    return;
+                }
+                if (message.type === 'broadcast') {
+                    handlers.onMessage(message.topic, message.data);
+                }
+            };
+            // onerror is always followed by onclose
+            socket.onerror = () => {};
+            socket.onclose = () => {
+                clearInterval(pingTimer);
+                socket = null;
+                handlers.onClose(null);
+            };
+        },
+
+        subscribe(newTopics) {
+            topics.push(...newTopics);
+            send({ type: 'subscribe', topics: newTopics });
+        },
+
+        close() {
+            clearInterval(pingTimer);
+            if (socket) {
+                socket.onclose = null;
+                socket.close();
+                socket = null;
+            }
+        }
+    };
+}
+
+/**
+ * Start a live feed for a set of contracts
+ * @param {Object} options
+ * @param {Array} options.contractIds - Contracts to follow
+ * @param {Function} options.onUpdate - Called with each normalized update
+ * @param {Function} options.onStatus - Called with 'connecting' | 'streaming' | 'polling' | 'stopped'
+ * @param {Function} options.poll - Async fallback returning an array of updates
+ * @param {Object} options.transport - Transport (defaults to Manifold's WebSocket)
+ * @param {number} options.pollIntervalMs - Fallback polling interval
+ * @returns {Object} Feed with stop()
+ */
+function createLiveFeed({
+    contractIds,
+    onUpdate,
+    onStatus = () => {},
+    poll,
+    transport = createWebSocketTransport(),
+    pollIntervalMs = LIVE_POLL_INTERVAL_MS
+}) {
+    let stopped = false;
+    let reconnects = 0;
+    let reconnectTimer = null;
+    let pollTimer = null;
+
+    const topics = contractIds.flatMap(id => [
+        `contract/${id}`,
+        `contract/${id}/new-bet`,
+        `contract/${id}/updated-answers`
+    ]);
+
+    const startPolling = () => {
+        onStatus('polling');
+        const tick = async () => {
+            try {
+                const updates = await poll();
+                if (!stopped) updates.forEach(onUpdate);
+            } catch (e) {
+                console.warn('Live poll failed:', e);
+            }
+            if (!stopped) pollTimer = setTimeout(tick, pollIntervalMs);
+        };
+        pollTimer = setTimeout(tick, pollIntervalMs);
+    };
+
+    const connect = () => {
+        onStatus('connecting');
+        transport.open({
+            onOpen: () => {
+                reconnects = 0;
+                onStatus('streaming');
+            },
+            onMessage: (topic, data) => {
+                if (!stopped) parseLiveMessage(topic, data).forEach(onUpdate);
+            },
+            onClose: () => {
+                if (stopped) return;
+                reconnects++;
+                if (reconnects > LIVE_MAX_RECONNECTS) {
+                    startPolling();
+                    return;
+                }
+                reconnectTimer = setTimeout(connect, LIVE_RECONNECT_BASE_MS * 2 ** (reconnects - 1));
+            }
+        });
+    };
+
+    transport.subscribe(topics);
+    connect();
+
+    return {
+        stop() {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            clearTimeout(pollTimer);
+            transport.close();
+            onStatus('stopped');
+        }
+    };
+}
+
+/**
+ * Normalize a broadcast into price updates
+ * Topics: contract/{id} (contract fields), contract/{id}/new-bet ({bets}),
+ * contract/{id}/updated-answers ({answers})
+ */
+function parseLiveMessage(topic, data) {
+    const match = topic.match(/^contract\/([^/]+)(\/[a-z-]+)?$/);
+    if (!match || !data) return [];
+
+    const contractId = match[1];
+    const now = Date.now();
+
+    switch (match[2]) {
+        case '/new-bet':
+            return (data.bets || [])
+                .filter(bet => bet.probAfter != null)
+                .map(bet => ({
+                    contractId,
+                    answerId: bet.answerId ?? null,
+                    prob: bet.probAfter,
+                    time: bet.createdTime ?? now
+                }));
+        case '/updated-answers':
+            return (data.answers || [])
+                .filter(answer => answer.prob != null)
+                .map(answer => ({ contractId, answerId: answer.id, prob: answer.prob, time: now }));
+        case undefined: {
+            const prob = data.contract?.prob ?? data.contract?.probability;
+            return prob != null ? [{ contractId, answerId: null, prob, time: now }] : [];
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Updates from a full or lite market snapshot (for the polling fallback)
+ */
+function updatesFromMarket(market) {
+    if (!market) return [];
+
+    const now = Date.now();
+    const updates = [];
+    const prob = market.probability ?? market.prob;
+    if (prob != null) {
+        updates.push({ contractId: market.id, answerId: null, prob, time: now });
+    }
+    for (const answer of market.answers || []) {
+        const answerProb = answer.prob ?? answer.probability;
+        if (answerProb != null) {
+            updates.push({ contractId: market.id, answerId: answer.id, prob: answerProb, time: now });
+        }
+    }
+    return updates;
+}
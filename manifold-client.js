@@ -0,0 +1,263 @@
+/**
+ * Manifold Bingo 2026 - API Client
+ *
+ * Every network request goes through here:
+ * - identical requests already in flight share one fetch
+ * - Manifold API requests share a concurrency and rate budget
+ * - 429 and 5xx responses (and network errors) retry with exponential backoff
+ * - failures are reported as ManifoldApiError to registered listeners
+ *
+ * Load before app.js. The CLI (bin/bingo.js) imports the same file.
+ */
+
+const MANIFOLD_API = 'https://api.manifold.markets/v0';
+
+// Base for manifoldGet (the CLI can point it at another server)
+let manifoldApiBase = MANIFOLD_API;
+
+// Bet paging: the /bets page size limit, and how far back one history walks
+const BET_PAGE_SIZE = 1000;
+const BET_MAX_PAGES = 20;
+
+// Request budget for the Manifold API (their limit is 500 requests/minute per IP)
+const API_MAX_CONCURRENT = 6;
+const API_RATE_LIMIT = 450;
+const API_RATE_WINDOW_MS = 60 * 1000;
+
+// Retry policy
+const API_MAX_RETRIES = 4;
+const API_RETRY_BASE_MS = 500;
+
+// In-flight requests by URL (for de-duplication)
+const apiInFlight = new Map();
+
+// Rate-limited requests waiting for a slot
+const apiQueue = [];
+let apiActiveCount = 0;
+let apiStartTimes = [];
+let apiPumpTimer = null;
+
+// Error listeners and recent errors (newest last)
+const apiErrorListeners = [];
+const apiRecentErrors = [];
+const API_RECENT_ERROR_LIMIT = 50;
+
+/**
+ * Error from a failed request, after any retries
+ */
+class ManifoldApiError extends Error {
+    constructor(message, { url, status = null, attempts = 1, retryable = false } = {}) {
+        super(message);
+        this.name = 'ManifoldApiError';
+        this.url = url;
+        this.status = status;         // HTTP status, or null for network errors
+        this.attempts = attempts;
+        this.retryable = retryable;   // true if it failed on a retryable status
+        this.time = Date.now();
+    }
+}
+
+/**
+ * GET a Manifold API path (e.g. "/slug/abc") as JSON
+ * Responses are shared between callers of the same in-flight path, so don't mutate them.
+ * @throws {ManifoldApiError}
+ */
+function manifoldGet(path) {
+    return fetchJson(`${manifoldApiBase}${path}`, { rateLimited: true });
+}
+
+/**
+ * Point manifoldGet at another API base (e.g. a local fixture server)
+ */
+function setManifoldApiBase(url) {
+    manifoldApiBase = url.replace(/\/+$/, '');
+}
+
+/**
+ * Page backwards through a market's bets (newest first) with the `before` cursor
+ * @param {string} contractId - Manifold contract ID
+ * @param {Object} options - {before: bet ID to start below, maxPages,
+ *   onPage(bets): called with each page, returns true to stop}
+ * @returns {Object} {pages: pages fetched, exhausted: true once the market's first bet was reached}
+ * @throws {ManifoldApiError}
+ */
+async function pageBets(contractId, { before = null, maxPages = BET_MAX_PAGES, onPage }) {
+    let pages = 0;
+    while (pages < maxPages) {
+        const cursor = before ? `&before=${before}` : '';
+        const bets = await manifoldGet(`/bets?contractId=${contractId}&limit=${BET_PAGE_SIZE}&order=desc${cursor}`);
+        pages++;
+
+        const stop = onPage(bets);
+        if (bets.length < BET_PAGE_SIZE) return { pages, exhausted: true };
+        if (stop) break;
+        before = bets[bets.length - 1].id;
+    }
+    return { pages, exhausted: false };
+}
+
+/**
+ * GET any URL as JSON, de-duplicating identical in-flight requests
+ * @param {string} url - URL to fetch
+ * @param {Object} options - {rateLimited} to apply the Manifold request budget
+ * @throws {ManifoldApiError}
+ */
+function fetchJson(url, { rateLimited = false } = {}) {
+    if (apiInFlight.has(url)) {
+        return apiInFlight.get(url);
+    }
+
+    const request = fetchWithRetry(url, rateLimited)
+        .catch(error => {
+            reportApiError(error);
+            throw error;
+        })
+        .finally(() => apiInFlight.delete(url));
+
+    apiInFlight.set(url, request);
+    return request;
+}
+
+/**
+ * Register a listener for failed requests
+ * @param {Function} listener - Called with each ManifoldApiError
+ */
+function onApiError(listener) {
+    apiErrorListeners.push(listener);
+}
+
+/**
+ * Get recent request failures (newest last)
+ */
+function getRecentApiErrors() {
+    return [...apiRecentErrors];
+}
+
+/**
+ * Fetch with retries on 429/5xx/network errors
+ */
+async function fetchWithRetry(url, rateLimited) {
+    let attempt = 0;
+
+    while (true) {
+        attempt++;
+
+        let response;
+        try {
+            response = rateLimited
+                ? await scheduleRequest(() => fetch(url))
+                : await fetch(url);
+        } catch (e) {
+            if (attempt <= API_MAX_RETRIES) {
+                await delay(retryDelay(attempt));
+                continue;
+            }
+            throw new ManifoldApiError(`Network error: ${e.message}`, { url, attempts: attempt, retryable: true });
+        }
+
+        if (response.ok) {
+            return response.json();
+        }
+
+        const retryable = response.status === 429 || response.status >= 500;
+        if (retryable && attempt <= API_MAX_RETRIES) {
+            await delay(retryDelay(attempt, response.headers?.get?.('Retry-After')));
+            continue;
+        }
+
+        throw new ManifoldApiError(`HTTP ${response.status}`, {
+            url,
+            status: response.status,
+            attempts: attempt,
+            retryable
+        });
+    }
+}
+
+/**
+ * Backoff before the next attempt (honours Retry-After seconds when given)
+ */
+function retryDelay(attempt, retryAfter = null) {
+    const retryAfterSecs = parseFloat(retryAfter);
+    if (!isNaN(retryAfterSecs)) {
+        return retryAfterSecs * 1000;
+    }
+    const backoff = API_RETRY_BASE_MS * 2 ** (attempt - 1);
+    return backoff + Math.random() * backoff * 0.25;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a request when the concurrency and rate budget allow
+ */
+function scheduleRequest(run) {
+    return new Promise((resolve, reject) => {
+        apiQueue.push({ run, resolve, reject });
+        pumpQueue();
+    });
+}
+
+/**
+ * Start queued requests while there is budget, else wait for the next slot
+ */
+function pumpQueue() {
+    if (apiPumpTimer) return;
+
+    while (apiQueue.length > 0 && apiActiveCount < API_MAX_CONCURRENT) {
+        const now = Date.now();
+        apiStartTimes = apiStartTimes.filter(t => now - t < API_RATE_WINDOW_MS);
+
+        if (apiStartTimes.length >= API_RATE_LIMIT) {
+            const wait = API_RATE_WINDOW_MS - (now - apiStartTimes[0]);
+            apiPumpTimer = setTimeout(() => {
+                apiPumpTimer = null;
+                pumpQueue();
+            }, wait);
+            return;
+        }
+
+        const task = apiQueue.shift();
+        apiActiveCount++;
+        apiStartTimes.push(now);
+
+        task.run()
+            .then(task.resolve, task.reject)
+            .finally(() => {
+                apiActiveCount--;
+                pumpQueue();
+            });
+    }
+}
+
+/**
+ * Record a failure and notify listeners
+ */
+function reportApiError(error) {
+    if (!(error instanceof ManifoldApiError)) {
+        error = new ManifoldApiError(error.message || String(error), { url: null });
+    }
+
+    apiRecentErrors.push(error);
+    if (apiRecentErrors.length > API_RECENT_ERROR_LIMIT) {
+        apiRecentErrors.shift();
+    }
+
+    apiErrorListeners.forEach(listener => {
+        try {
+            listener(error);
+        } catch (e) {
+            console.error('API error listener failed:', e);
+        }
+    });
+}
+
+// In Node (the CLI) this file is imported as an ES module, so its top-level
+// names stay private: hand the client over on globalThis instead
+if (typeof window === 'undefined') {
+    globalThis.manifoldClient = {
+        MANIFOLD_API, ManifoldApiError, manifoldGet, setManifoldApiBase, pageBets, fetchJson, onApiError, getRecentApiErrors
+    };
+}
@@ -0,0 +1,267 @@
+/**
+ * Manifold Bingo 2026 - Persistent Market Cache
+ *
+ * IndexedDB cache for market snapshots and bet timelines, so pages can
+ * render immediately from the previous visit and refresh in the background.
+ * Each store has a size budget; when it fills up the least recently saved
+ * entries are evicted (from every store when the browser reports a quota error).
+ * Falls back to an in-memory cache when IndexedDB is unavailable.
+ *
+ * Load before app.js.
+ */
+
+const CACHE_DB_NAME = 'manifold_bingo_cache';
+const CACHE_DB_VERSION = 2; // 2: size index, so stores can be sized without reading records
+
+// Size budget per store, in characters of serialized JSON
+const CACHE_STORE_LIMITS = {
+    snapshots: 5 * 1024 * 1024,
+    timelines: 20 * 1024 * 1024
+};
+
+// Eviction trims a store to this fraction of its budget
+const CACHE_EVICT_TARGET = 0.8;
+
+// Open database (resolves to null when falling back to memory)
+let cacheDbPromise = null;
+
+// Running size of each store
+const cacheStoreBytes = {};
+
+// In-memory fallback: store name -> Map of key -> record
+const cacheMemory = {};
+
+/**
+ * Get a cached value
+ * @returns {Object|null} {value, savedAt} or null when missing
+ */
+async function cacheGet(storeName, key) {
+    const records = await cacheGetMany(storeName, [key]);
+    return records.get(key) ?? null;
+}
+
+/**
+ * Get several cached values in one transaction
+ * @returns {Map} Map of key -> {value, savedAt} (missing keys omitted)
+ */
+async function cacheGetMany(storeName, keys) {
+    const results = new Map();
+    const db = await openMarketCache();
+
+    if (!db) {
+        const memory = getMemoryStore(storeName);
+        keys.forEach(key => {
+            const record = memory.get(key);
+            if (record) results.set(key, { value: record.value, savedAt: record.savedAt });
+        });
+        return results;
+    }
+
+    try {
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        const records = await Promise.all(keys.map(key => idbRequest(store.get(key))));
+        records.forEach((record, i) => {
+            if (record) results.set(keys[i], { value: record.value, savedAt: record.savedAt });
+        });
+    } catch (e) {
+        console.warn('Failed to read cache:', e);
+    }
+
+    return results;
+}
+
+/**
+ * Save a value, evicting old entries to stay within the store's budget
+ */
+async function cachePut(storeName, key, value) {
+    const size = JSON.stringify(value).length;
+    const limit = CACHE_STORE_LIMITS[storeName];
+    if (size > limit * CACHE_EVICT_TARGET) return;
+
+    const record = { key, value, savedAt: Date.now(), size };
+    const db = await openMarketCache();
+
+    if (!db) {
+        const memory = getMemoryStore(storeName);
+        cacheStoreBytes[storeName] += size - (memory.get(key)?.size ?? 0);
+        memory.set(key, record);
+        if (cacheStoreBytes[storeName] > limit) evictMemory(storeName, limit * CACHE_EVICT_TARGET);
+        return;
+    }
+
+    try {
+        await putRecord(db, storeName, record);
+    } catch (e) {
+        if (e?.name !== 'QuotaExceededError') {
+            console.warn('Failed to cache:', e);
+            return;
+        }
+
+        // Out of browser quota (shared by every store): free up half of each
+        // store's budget and try once more
+        try {
+            for (const [name, storeLimit] of Object.entries(CACHE_STORE_LIMITS)) {
+                await evictRecords(db, name, storeLimit * CACHE_EVICT_TARGET / 2);
+            }
+            await putRecord(db, storeName, record);
+        } catch (retryError) {
+            console.warn('Failed to cache after eviction:', retryError);
+            return;
+        }
+    }
+
+    if (cacheStoreBytes[storeName] > limit) {
+        try {
+            await evictRecords(db, storeName, limit * CACHE_EVICT_TARGET);
+        } catch (e) {
+            console.warn('Failed to evict cache:', e);
+        }
+    }
+}
+
+/**
+ * Open the database and total up each store's size (once per page)
+ */
+function openMarketCache() {
+    if (cacheDbPromise) return cacheDbPromise;
+
+    Object.keys(CACHE_STORE_LIMITS).forEach(name => { cacheStoreBytes[name] = 0; });
+
+    cacheDbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.keys(CACHE_STORE_LIMITS).forEach(name => {
+                const store = db.objectStoreNames.contains(name)
+                    ? request.transaction.objectStore(name)
+                    : db.createObjectStore(name, { keyPath: 'key' });
+                if (!store.indexNames.contains('savedAt')) store.createIndex('savedAt', 'savedAt');
+                if (!store.indexNames.contains('size')) store.createIndex('size', 'size');
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IndexedDB unavailable, caching in memory:', request.error);
+            resolve(null);
+        };
+        request.onblocked = () => resolve(null);
+    }).then(async db => {
+        if (!db) return null;
+
+        try {
+            for (const name of Object.keys(CACHE_STORE_LIMITS)) {
+                cacheStoreBytes[name] = await sumRecordSizes(db, name);
+            }
+        } catch (e) {
+            console.warn('Failed to size cache:', e);
+        }
+        return db;
+    });
+
+    return cacheDbPromise;
+}
+
+/**
+ * Total size of a store's records, walking the size index's keys (no record values are read)
+ */
+function sumRecordSizes(db, storeName) {
+    const index = db.transaction(storeName, 'readonly').objectStore(storeName).index('size');
+
+    return new Promise((resolve, reject) => {
+        let total = 0;
+        const request = index.openKeyCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(total);
+                return;
+            }
+            total += cursor.key;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Write a record and update the store's running size
+ */
+async function putRecord(db, storeName, record) {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const existing = await idbRequest(store.get(record.key));
+    store.put(record);
+    await idbTransaction(tx);
+
+    cacheStoreBytes[storeName] += record.size - (existing?.size ?? 0);
+}
+
+/**
+ * Delete the oldest records until the store is at or below targetBytes
+ */
+async function evictRecords(db, storeName, targetBytes) {
+    const tx = db.transaction(storeName, 'readwrite');
+    const index = tx.objectStore(storeName).index('savedAt');
+
+    await new Promise((resolve, reject) => {
+        const request = index.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || cacheStoreBytes[storeName] <= targetBytes) {
+                resolve();
+                return;
+            }
+            cacheStoreBytes[storeName] -= cursor.value.size || 0;
+            cursor.delete();
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    await idbTransaction(tx);
+}
+
+function getMemoryStore(storeName) {
+    if (!cacheMemory[storeName]) cacheMemory[storeName] = new Map();
+    return cacheMemory[storeName];
+}
+
+/**
+ * In-memory eviction, oldest first
+ */
+function evictMemory(storeName, targetBytes) {
+    const memory = getMemoryStore(storeName);
+    const oldestFirst = [...memory.values()].sort((a, b) => a.savedAt - b.savedAt);
+
+    for (const record of oldestFirst) {
+        if (cacheStoreBytes[storeName] <= targetBytes) break;
+        memory.delete(record.key);
+        cacheStoreBytes[storeName] -= record.size;
+    }
+}
+
+/**
+ * Promise for an IndexedDB request
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Promise for an IndexedDB transaction's completion
+ */
+function idbTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
@@ -0,0 +1,167 @@
+/**
+ * Manifold Bingo 2026 - Eligible Market Pool
+ *
+ * Turns Manifold search results into cards/markets.json (the eligible pool
+ * the builder and validator work from) and cards/markets.txt (its slug
+ * list), and reports how the pool changed since the last refresh: markets
+ * added, dropped (with the reason) and newly resolved.
+ *
+ *   import { buildMarketsData, diffMarketPools } from './market-pool.js';
+ *
+ * No DOM or network dependencies; the CLI does the searching.
+ */
+
+// Markets must close at least this long after the pool is refreshed
+export const MIN_CLOSE_LEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Titles that suggest a non-binary resolution
+export const EXCLUDED_TITLE_PATTERNS = [
+    /\blotter(y|ies)\b/i,
+    /\bconditional\b/i,
+    /\bresolves? (to )?(the )?(prob\w*|percent\w*|%|mkt)\b/i,
+    /\bresolves? partially\b/i
+];
+
+/**
+ * Criteria for a refresh: the previous pool's, with the close window moved up to now
+ * @param {Object} previous - Previous criteria ({min_traders, min_close_ms, max_close_ms})
+ * @param {number} now - Refresh time (ms)
+ */
+export function refreshCriteria(previous = {}, now = Date.now()) {
+    return {
+        min_traders: previous.min_traders ?? 20,
+        min_close_ms: now + MIN_CLOSE_LEAD_MS,
+        max_close_ms: previous.max_close_ms ?? null
+    };
+}
+
+/**
+ * Search API path for one page of open binary markets
+ * Sorted by close date so paging can stop past max_close_ms; the rest of
+ * the criteria are applied to the results.
+ */
+export function buildSearchQuery({ limit = 1000, offset = 0 } = {}) {
+    const params = new URLSearchParams({
+        term: '',
+        filter: 'open',
+        contractType: 'BINARY',
+        sort: 'close-date',
+        limit: String(limit),
+        offset: String(offset)
+    });
+    return `/search-markets?${params}`;
+}
+
+/**
+ * Why a search result is not eligible (null if it is)
+ * @param {Object} market - Manifold API market
+ * @param {Object} criteria - {min_traders, min_close_ms, max_close_ms}
+ * @param {Set} excludedSlugs - Manually excluded slugs
+ */
+export function getIneligibleReason(market, criteria, excludedSlugs = new Set()) {
+    if (market.isResolved) return 'resolved';
+    if (market.outcomeType !== 'BINARY') return 'not binary';
+    if (market.visibility && market.visibility !== 'public') return 'unlisted';
+    if (market.isRanked === false) return 'unranked';
+    if ((market.uniqueBettorCount ?? 0) < criteria.min_traders) {
+        return `${market.uniqueBettorCount ?? 0} traders < ${criteria.min_traders}`;
+    }
+    if (market.closeTime == null || market.closeTime < criteria.min_close_ms) return 'closes too soon';
+    if (criteria.max_close_ms != null && market.closeTime > criteria.max_close_ms) return 'closes too late';
+    if (market.probability == null) return 'no probability';
+    if (excludedSlugs.has(market.slug)) return 'manually excluded';
+    if (EXCLUDED_TITLE_PATTERNS.some(p => p.test(market.question || ''))) return 'non-binary title';
+    return null;
+}
+
+/**
+ * Pool entry for an API market (the markets.json schema)
+ */
+export function normalizeMarket(market) {
+    return {
+        slug: market.slug,
+        question: market.question,
+        probability: market.probability,
+        close_time: market.closeTime,
+        trader_count: market.uniqueBettorCount ?? 0,
+        url: market.url || `https://manifold.markets/${market.creatorUsername}/${market.slug}`
+    };
+}
+
+/**
+ * Build markets.json contents from search results
+ * @param {Array} results - Manifold API markets (duplicates are ignored)
+ * @param {Object} criteria - Criteria to filter by and record
+ * @param {Object} options - {now, excludedSlugs}
+ * @returns {Object} {fetched_at, criteria, count, markets} sorted by trader count
+ */
+export function buildMarketsData(results, criteria, { now = Date.now(), excludedSlugs = new Set() } = {}) {
+    const bySlug = new Map();
+    for (const market of results) {
+        if (!bySlug.has(market.slug) && !getIneligibleReason(market, criteria, excludedSlugs)) {
+            bySlug.set(market.slug, normalizeMarket(market));
+        }
+    }
+
+    const markets = [...bySlug.values()].sort((a, b) => b.trader_count - a.trader_count);
+    return { fetched_at: now, criteria, count: markets.length, markets };
+}
+
+/**
+ * markets.txt contents (one slug per line)
+ */
+export function formatMarketsTxt(marketsData) {
+    return marketsData.markets.map(m => m.slug).join('\n') + '\n';
+}
+
+/**
+ * Compare two pools
+ * @param {Object} previous - Previous markets.json (or null)
+ * @param {Object} next - New markets.json
+ * @param {Map} lookups - slug -> current API market for dropped slugs (null if not found)
+ * @param {Set} excludedSlugs - Manually excluded slugs
+ * @returns {Object} {added, dropped: [{market, reason}], resolved: [{market, resolution}]}
+ */
+export function diffMarketPools(previous, next, lookups = new Map(), excludedSlugs = new Set()) {
+    const before = new Map((previous?.markets || []).map(m => [m.slug, m]));
+    const after = new Set(next.markets.map(m => m.slug));
+
+    const added = next.markets.filter(m => !before.has(m.slug));
+    const dropped = [];
+    const resolved = [];
+
+    for (const [slug, market] of before) {
+        if (after.has(slug)) continue;
+
+        const current = lookups.get(slug);
+        if (current?.isResolved) {
+            resolved.push({ market, resolution: current.resolution ?? 'unknown' });
+        } else if (!current) {
+            dropped.push({ market, reason: lookups.has(slug) ? 'not found' : 'not in search results' });
+        } else {
+            dropped.push({ market, reason: getIneligibleReason(current, next.criteria, excludedSlugs) || 'not in search results' });
+        }
+    }
+
+    return { added, dropped, resolved };
+}
+
+/**
+ * Readable pool diff
+ */
+export function formatMarketDiff(diff) {
+    const { added, dropped, resolved } = diff;
+    if (added.length + dropped.length + resolved.length === 0) return 'No changes to the eligible pool';
+
+    const lines = [`${added.length} added, ${dropped.length} dropped, ${resolved.length} resolved`];
+    if (added.length > 0) {
+        lines.push('', 'Added:', ...added.map(m => `  + ${m.slug}`));
+    }
+    if (dropped.length > 0) {
+        lines.push('', 'Dropped:', ...dropped.map(d => `  - ${d.market.slug} (${d.reason})`));
+    }
+    if (resolved.length > 0) {
+        lines.push('', 'Resolved:', ...resolved.map(r => `  * ${r.market.slug} (${r.resolution})`));
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,24 @@
+/**
+ * Manifold Bingo 2026 - Season Simulation Worker
+ *
+ * Runs simulateSeason (bingo-core.js) off the main thread so the index
+ * page stays responsive. Loaded as a module worker.
+ *
+ * Message in:  { cards, resolveTimes, defaultTime, runs }
+ * Messages out: { type: 'progress', done, total }
+ *               { type: 'result', result }
+ */
+
+import { simulateSeason } from './bingo-core.js';
+
+self.onmessage = (e) => {
+    const { cards, resolveTimes, defaultTime, runs } = e.data;
+
+    const result = simulateSeason(cards, resolveTimes, {
+        runs,
+        defaultTime,
+        onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+    });
+
+    self.postMessage({ type: 'result', result });
+};
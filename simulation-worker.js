@@ -0,0 +1,257 @@
+/**
+ * Manifold Bingo 2026 - Correlated Simulation Worker
+ *
+ * Estimates pairwise correlations between a card's markets from their
+ * bet timelines, then samples joint outcomes with a Gaussian copula.
+ * Runs off the main thread so the card page stays responsive.
+ *
+ * Message in:  { probs, timelines, lines, iterations }
+ * Messages out: { type: 'progress', done, total }
+ *               { type: 'result', winProb, ciLow, ciHigh, iterations, topPairs }
+ */
+
+// Number of evenly spaced samples used to align two timelines
+const ALIGN_STEPS = 48;
+
+// Blend of estimated correlation vs identity (noisy estimates get shrunk)
+const SHRINKAGE = 0.8;
+
+// Post a progress update every N iterations
+const PROGRESS_EVERY = 10000;
+
+self.onmessage = (e) => {
+    const { probs, timelines, lines, iterations } = e.data;
+
+    const correlation = estimateCorrelationMatrix(timelines);
+    const chol = choleskyWithShrinkage(correlation);
+    const thresholds = probs.map(p => inverseNormalCdf(p));
+
+    let wins = 0;
+    const z = new Float64Array(probs.length);
+    const outcome = new Uint8Array(probs.length);
+
+    for (let n = 0; n < iterations; n++) {
+        for (let i = 0; i < probs.length; i++) {
+            z[i] = standardNormal();
+        }
+
+        // Correlated normal for cell i is row i of L times z
+        for (let i = 0; i < probs.length; i++) {
+            let x = 0;
+            for (let k = 0; k <= i; k++) {
+                x += chol[i][k] * z[k];
+            }
+            outcome[i] = x < thresholds[i] ? 1 : 0;
+        }
+
+        if (lines.some(indices => indices.every(idx => outcome[idx]))) {
+            wins++;
+        }
+
+        if ((n + 1) % PROGRESS_EVERY === 0) {
+            self.postMessage({ type: 'progress', done: n + 1, total: iterations });
+        }
+    }
+
+    // 95% normal-approximation confidence interval
+    const winProb = wins / iterations;
+    const halfWidth = 1.96 * Math.sqrt(winProb * (1 - winProb) / iterations);
+
+    self.postMessage({
+        type: 'result',
+        winProb,
+        ciLow: Math.max(0, winProb - halfWidth),
+        ciHigh: Math.min(1, winProb + halfWidth),
+        iterations,
+        topPairs: strongestPairs(correlation, 3)
+    });
+};
+
+/**
+ * Estimate pairwise correlations of logit price changes
+ * @param {Array} timelines - Per-cell arrays of {time, prob} (ascending), or null
+ * @returns {Array} Symmetric matrix with 1 on the diagonal
+ */
+function estimateCorrelationMatrix(timelines) {
+    const n = timelines.length;
+    const matrix = Array.from({ length: n }, (_, i) =>
+        Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    );
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const rho = pairCorrelation(timelines[i], timelines[j]);
+            matrix[i][j] = rho;
+            matrix[j][i] = rho;
+        }
+    }
+
+    return matrix;
+}
+
+/**
+ * Correlation of two markets over the window both timelines cover
+ */
+function pairCorrelation(a, b) {
+    if (!a || !b || a.length < 2 || b.length < 2) return 0;
+
+    const start = Math.max(a[0].time, b[0].time);
+    const end = Math.min(a[a.length - 1].time, b[b.length - 1].time);
+    if (end <= start) return 0;
+
+    const stepsA = sampleChanges(a, start, end);
+    const stepsB = sampleChanges(b, start, end);
+    return pearson(stepsA, stepsB);
+}
+
+/**
+ * Resample a timeline at evenly spaced times and return logit changes
+ */
+function sampleChanges(timeline, start, end) {
+    const values = [];
+    let cursor = 0;
+
+    for (let s = 0; s <= ALIGN_STEPS; s++) {
+        const t = start + (end - start) * (s / ALIGN_STEPS);
+        while (cursor + 1 < timeline.length && timeline[cursor + 1].time <= t) {
+            cursor++;
+        }
+        values.push(logit(timeline[cursor].prob));
+    }
+
+    const changes = [];
+    for (let s = 1; s < values.length; s++) {
+        changes.push(values[s] - values[s - 1]);
+    }
+    return changes;
+}
+
+/**
+ * Pearson correlation (0 when either series is flat)
+ */
+function pearson(x, y) {
+    const n = x.length;
+    const meanX = x.reduce((acc, v) => acc + v, 0) / n;
+    const meanY = y.reduce((acc, v) => acc + v, 0) / n;
+
+    let cov = 0, varX = 0, varY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = x[i] - meanX;
+        const dy = y[i] - meanY;
+        cov += dx * dy;
+        varX += dx * dx;
+        varY += dy * dy;
+    }
+
+    if (varX === 0 || varY === 0) return 0;
+    return cov / Math.sqrt(varX * varY);
+}
+
+/**
+ * Cholesky factor of the shrunk correlation matrix
+ * Pairwise estimates need not be positive definite, so shrink further
+ * toward the identity until the decomposition succeeds.
+ */
+function choleskyWithShrinkage(matrix) {
+    let weight = SHRINKAGE;
+
+    while (weight > 0) {
+        const shrunk = matrix.map((row, i) =>
+            row.map((v, j) => (i === j ? 1 : v * weight))
+        );
+        const chol = cholesky(shrunk);
+        if (chol) return chol;
+        weight -= 0.1;
+    }
+
+    return cholesky(matrix.map((row, i) => row.map((_, j) => (i === j ? 1 : 0))));
+}
+
+/**
+ * Lower-triangular Cholesky decomposition, or null if not positive definite
+ */
+function cholesky(matrix) {
+    const n = matrix.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= L[i][k] * L[j][k];
+            }
+            if (i === j) {
+                if (sum <= 1e-10) return null;
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+
+    return L;
+}
+
+/**
+ * Most correlated cell pairs, for display
+ */
+function strongestPairs(matrix, count) {
+    const pairs = [];
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = i + 1; j < matrix.length; j++) {
+            if (matrix[i][j] !== 0) pairs.push({ a: i, b: j, rho: matrix[i][j] });
+        }
+    }
+    pairs.sort((x, y) => Math.abs(y.rho) - Math.abs(x.rho));
+    return pairs.slice(0, count);
+}
+
+function logit(p) {
+    const clamped = Math.min(0.999, Math.max(0.001, p));
+    return Math.log(clamped / (1 - clamped));
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function standardNormal() {
+    let u = 0;
+    while (u === 0) u = Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation)
+ * Certain outcomes map to +/-Infinity so resolved cells never flip.
+ */
+function inverseNormalCdf(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+        1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+        6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+        -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+        3.754408661907416e+00];
+
+    const pLow = 0.02425;
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+               ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+           (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}